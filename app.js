@@ -0,0 +1,297 @@
+const express = require('express');
+const defaultConfig = require('./config/config');
+const defaultLogger = require('./utils/logger');
+const { validateContentType } = require('./middleware/validation');
+const { securityMiddleware, sanitizeInput } = require('./middleware/security');
+const { 
+  generalLimiter, 
+  ddosLimiter, 
+  blockSuspiciousIPs, 
+  detectBots 
+} = require('./middleware/rateLimit');
+const { expressErrorHandler, handleError, ErrorTypes } = require('./utils/errorHandler');
+const { corsMiddleware, additionalCorsHeaders } = require('./middleware/cors');
+const { assignRequestId } = require('./middleware/requestId');
+const { validateRequestSizes, monitorMemoryUsage } = require('./middleware/requestSize');
+const { 
+  helmetMiddleware, 
+  additionalSecurityHeaders, 
+  validateSecurityHeaders, 
+  monitorSecurityHeaders 
+} = require('./middleware/securityHeaders');
+const { trackActiveRequests, healthCheckWithShutdown } = require('./middleware/gracefulShutdown');
+const { AuthModes, createAuthMiddleware } = require('./middleware/auth');
+const { createIdempotencyMiddleware } = require('./middleware/idempotency');
+const { createContestRepository } = require('./repositories/contests');
+const { createWinnerRepository } = require('./repositories/winners');
+const { createAuditLog } = require('./services/auditLog');
+const { createContestEvents } = require('./services/contestEvents');
+const { createEventStreams } = require('./services/eventStreams');
+const { createScoringService } = require('./services/scoring');
+const { createScoreProvider } = require('./services/scoreProviders');
+const { ScorePoller } = require('./services/scorePoller');
+const { createTemplateService } = require('./services/templates');
+const { createWebhookService } = require('./services/webhooks');
+const createContestsRouter = require('./routes/contests');
+const createBagBuilderRouter = require('./routes/bagBuilder');
+const createWebhooksRouter = require('./routes/webhooks');
+const createTemplatesRouter = require('./routes/templates');
+
+/**
+ * Get the database and Firebase Auth instance for an app
+ * Firebase is only initialized for the ones the caller leaves out, and Auth only when AUTH_MODE uses it
+ * @param {Object} config - Configuration
+ * @param {Object|null|undefined} db - Database passed to createApp
+ * @param {Object|null|undefined} auth - Firebase Auth instance passed to createApp
+ * @returns {Object} Database and Auth instance, either of which may be null
+ */
+const resolveFirebaseDependencies = (config, db, auth) => {
+  const needsDb = db === undefined;
+  const needsAuth = auth === undefined && config.AUTH_MODE === AuthModes.FIREBASE;
+  if (!needsDb && !needsAuth) {
+    return { db, auth: auth || null };
+  }
+
+  // Loaded here rather than at the top so importing this module does not initialize Firebase
+  const firebase = require('./config/firebase');
+  return {
+    db: needsDb ? firebase.db : db,
+    auth: needsAuth ? firebase.auth : auth || null
+  };
+};
+
+/**
+ * Create the score poller of an app from its SCORE_PROVIDER settings
+ * @param {Object} dependencies - Poller dependencies
+ * @param {Object} dependencies.config - Configuration
+ * @param {Object} dependencies.logger - Logger
+ * @param {Object} dependencies.contests - Contest repository
+ * @param {Object} dependencies.scoring - Scoring service
+ * @returns {ScorePoller|null} Score poller, or null when no provider is configured or it cannot be created
+ */
+const createScorePoller = ({ config, logger, contests, scoring }) => {
+  if (!config.SCORE_PROVIDER) {
+    return null;
+  }
+
+  try {
+    return new ScorePoller(createScoreProvider(config.SCORE_PROVIDER, { config }), {
+      contests,
+      scoring,
+      config,
+      logger
+    });
+  } catch (error) {
+    // Keep serving requests; scores can still be recorded manually
+    handleError(error, null, ErrorTypes.CONFIGURATION, {
+      operation: 'create_score_poller',
+      provider: config.SCORE_PROVIDER
+    });
+    return null;
+  }
+};
+
+/**
+ * Create the API as an Express app without starting a server
+ * Nothing is listened on and no background work is started, so the app can be mounted inside
+ * another Express app or exercised in tests. Each app has its own live event publisher, event streams
+ * and score poller. Middleware that is configured when its module loads (rate limits, CORS, security headers)
+ * follows the process configuration.
+ * @param {Object} dependencies - App dependencies
+ * @param {Object} dependencies.config - Configuration; defaults to the process configuration
+ * @param {Object|null} dependencies.db - Firestore or the in-memory store; defaults to the database
+ *   STORAGE_BACKEND selects, and null makes data endpoints respond 503
+ * @param {Object|null} dependencies.auth - Firebase Auth instance for verifying ID tokens; defaults to the
+ *   configured Firebase app when AUTH_MODE is firebase
+ * @param {Object} dependencies.logger - Logger; defaults to the service logger
+ * @param {Object} dependencies.gracefulShutdown - Shutdown manager whose status the health check reports
+ * @returns {Object} Express app; app.locals.services holds the repositories and services it was built with,
+ *   including the score poller (null without SCORE_PROVIDER), which is not started
+ */
+const createApp = (dependencies = {}) => {
+  const {
+    config = defaultConfig,
+    logger = defaultLogger,
+    gracefulShutdown = null
+  } = dependencies;
+  const { db, auth } = resolveFirebaseDependencies(config, dependencies.db, dependencies.auth);
+
+  const contests = createContestRepository(db);
+  const winners = createWinnerRepository(db);
+  const auditLog = createAuditLog(contests);
+  const contestEvents = createContestEvents({ config });
+  const eventStreams = createEventStreams({ contestEvents, config, logger });
+  const scoring = createScoringService({ contests, auditLog, contestEvents });
+  const templates = createTemplateService(db);
+  const webhooks = createWebhookService({ db, contests, contestEvents, config, logger });
+  const scorePoller = createScorePoller({ config, logger, contests, scoring });
+  const { requireAuth, optionalAuth } = createAuthMiddleware({ auth, config, logger });
+
+  const app = express();
+
+  app.locals.gracefulShutdown = gracefulShutdown;
+  app.locals.services = {
+    contests,
+    winners,
+    auditLog,
+    contestEvents,
+    eventStreams,
+    scoring,
+    templates,
+    webhooks,
+    scorePoller
+  };
+
+  // Contest ETags are document versions; Express's body-hash ETags would be mistaken for them in If-Match
+  app.set('etag', false);
+
+  // Tag every request with an ID for logs and the contest audit log
+  app.use(assignRequestId);
+
+  // Security headers middleware
+  app.use(helmetMiddleware);
+  app.use(additionalSecurityHeaders);
+  app.use(validateSecurityHeaders);
+  app.use(monitorSecurityHeaders);
+
+  // Apply CORS middleware
+  app.use(corsMiddleware);
+  app.use(additionalCorsHeaders);
+
+  // Rate limiting and security middleware
+  app.use(detectBots);
+  app.use(blockSuspiciousIPs);
+  app.use(ddosLimiter);
+  app.use(generalLimiter);
+
+  // Security and validation middleware
+  app.use(securityMiddleware);
+  app.use(sanitizeInput);
+  app.use(validateContentType);
+  app.use(validateRequestSizes);
+  app.use(monitorMemoryUsage);
+
+  // Graceful shutdown middleware; refuses requests once the shutdown manager, if any, starts shutting down
+  app.use(trackActiveRequests);
+
+  app.use(express.json({ limit: config.MAX_REQUEST_SIZE }));
+  app.use(express.urlencoded({ extended: true, limit: config.MAX_URL_ENCODED_SIZE }));
+
+  // Routes
+  app.use('/contests', createContestsRouter({
+    db,
+    contests,
+    auditLog,
+    scoring,
+    templates,
+    contestEvents,
+    eventStreams,
+    requireAuth,
+    optionalAuth,
+    idempotent: createIdempotencyMiddleware({ db, config, logger })
+  }));
+  app.use('/bagbuilder', createBagBuilderRouter({ db, winners, requireAuth, optionalAuth }));
+  app.use('/webhooks', createWebhooksRouter({ config, db, contests, webhooks, requireAuth }));
+  app.use('/templates', createTemplatesRouter({ db, templates, requireAuth }));
+
+  // Health check endpoint with shutdown status
+  app.get('/health', healthCheckWithShutdown);
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Premier Squares Service API',
+      version: config.API_VERSION,
+      environment: config.NODE_ENV,
+      storageBackend: config.STORAGE_BACKEND,
+      corsOrigins: config.CORS_ALLOWED_ORIGINS,
+      requestSizeLimits: {
+        maxRequestBody: config.MAX_REQUEST_SIZE,
+        maxUrlEncoded: config.MAX_URL_ENCODED_SIZE,
+        maxQueryString: config.MAX_QUERY_STRING_SIZE + ' bytes',
+        maxHeaderSize: config.MAX_HEADER_SIZE + ' bytes',
+        maxFieldSize: config.MAX_FIELD_SIZE + ' bytes'
+      },
+      securityHeaders: {
+        cspEnabled: config.SECURITY_CONFIG.CSP_ENABLED,
+        hstsEnabled: config.SECURITY_CONFIG.HSTS_ENABLED,
+        referrerPolicy: config.SECURITY_CONFIG.REFERRER_POLICY,
+        permissionsPolicy: config.SECURITY_CONFIG.PERMISSIONS_POLICY,
+        crossOriginEmbedderPolicy: config.SECURITY_CONFIG.CROSS_ORIGIN_EMBEDDER_POLICY,
+        crossOriginOpenerPolicy: config.SECURITY_CONFIG.CROSS_ORIGIN_OPENER_POLICY,
+        crossOriginResourcePolicy: config.SECURITY_CONFIG.CROSS_ORIGIN_RESOURCE_POLICY
+      },
+      endpoints: {
+        health: '/health',
+        contests: {
+          create: 'POST /contests',
+          getAll: 'GET /contests',
+          getById: 'GET /contests/:id',
+          update: 'PUT /contests/:id',
+          claimSquare: 'PUT /contests/:id/squares/:index',
+          releaseSquare: 'DELETE /contests/:id/squares/:index',
+          getLedger: 'GET /contests/:id/ledger',
+          recordPayment: 'POST /contests/:id/ledger/payments',
+          lock: 'POST /contests/:id/lock',
+          unlock: 'POST /contests/:id/unlock',
+          start: 'POST /contests/:id/start',
+          begin: 'POST /contests/:id/begin',
+          recordScore: 'POST /contests/:id/scores',
+          complete: 'POST /contests/:id/complete',
+          cancel: 'POST /contests/:id/cancel',
+          addCoAdmin: 'POST /contests/:id/co-admins',
+          removeCoAdmin: 'DELETE /contests/:id/co-admins/:uid',
+          regenerateInviteCode: 'POST /contests/:id/invite-code',
+          revokeInviteCode: 'DELETE /contests/:id/invite-code',
+          join: 'POST /contests/join/:code',
+          clone: 'POST /contests/:id/clone',
+          audit: 'GET /contests/:id/audit',
+          verify: 'GET /contests/:id/verify',
+          events: 'GET /contests/:id/events'
+        },
+        webhooks: {
+          create: 'POST /webhooks',
+          getAll: 'GET /webhooks',
+          getById: 'GET /webhooks/:id',
+          update: 'PUT /webhooks/:id',
+          delete: 'DELETE /webhooks/:id',
+          getDeliveries: 'GET /webhooks/:id/deliveries',
+          redeliver: 'POST /webhooks/:id/deliveries/:deliveryId/redeliver'
+        },
+        templates: {
+          create: 'POST /templates',
+          getAll: 'GET /templates',
+          getById: 'GET /templates/:id',
+          update: 'PUT /templates/:id',
+          delete: 'DELETE /templates/:id'
+        },
+        bagBuilder: {
+          setWinner: 'POST /bagbuilder/winner/:name',
+          getWinner: 'GET /bagbuilder/winner'
+        }
+      }
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    const error = new Error(`Endpoint not found: ${req.originalUrl}`);
+    error.name = 'NotFoundError';
+    res.status(404).json({
+      error: 'NOT_FOUND_ERROR',
+      message: 'The requested endpoint does not exist',
+      path: req.originalUrl,
+      method: req.method,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Global error handler
+  app.use(expressErrorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp
+};
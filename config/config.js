@@ -39,10 +39,23 @@ const getCorsOrigins = () => {
 const CORS_ALLOWED_ORIGINS = getCorsOrigins();
 
 // Firebase Configuration
+// Credentials come from FIREBASE_PROJECT_ID/FIREBASE_CLIENT_EMAIL/FIREBASE_PRIVATE_KEY, then the key file at
+// GOOGLE_APPLICATION_CREDENTIALS, then serviceAccountKey.json; FIRESTORE_EMULATOR_HOST connects to a local emulator
 const FIREBASE_DATABASE_URL = process.env.FIREBASE_DATABASE_URL;
 const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID;
 const FIREBASE_PRIVATE_KEY = process.env.FIREBASE_PRIVATE_KEY;
 const FIREBASE_CLIENT_EMAIL = process.env.FIREBASE_CLIENT_EMAIL;
+const GOOGLE_APPLICATION_CREDENTIALS = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+const FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+// Storage Configuration
+// STORAGE_BACKEND=memory keeps all data in process memory so the API runs locally without Firebase
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'firestore';
+
+// Authentication Configuration
+// AUTH_MODE=local accepts `local:<uid>` bearer tokens instead of Firebase ID tokens for local testing
+const AUTH_MODE = process.env.AUTH_MODE || 'firebase';
+const AUTH_CHECK_REVOKED = process.env.AUTH_CHECK_REVOKED === 'true';
 
 // Security Configuration
 const getRequestSizeLimits = () => {
@@ -125,6 +138,56 @@ const UPDATE_CONTEST_LIMIT = parseInt(process.env.UPDATE_CONTEST_LIMIT) || 100;
 const START_CONTEST_LIMIT = parseInt(process.env.START_CONTEST_LIMIT) || 100; // 100 per hour
 const DDOS_LIMIT = parseInt(process.env.DDOS_LIMIT) || 30; // 30 per minute
 
+// Payout Configuration
+// Standard payouts split the pot by percentage per period; extra presets can be supplied as JSON
+const DEFAULT_PAYOUT_PRESETS = {
+  even: [25, 25, 25, 25],
+  final_heavy: [20, 20, 20, 40]
+};
+
+let payoutPresetsError = null;
+const getPayoutPresets = () => {
+  if (!process.env.PAYOUT_PRESETS) {
+    return DEFAULT_PAYOUT_PRESETS;
+  }
+  
+  try {
+    return { ...DEFAULT_PAYOUT_PRESETS, ...JSON.parse(process.env.PAYOUT_PRESETS) };
+  } catch (error) {
+    payoutPresetsError = error.message;
+    return DEFAULT_PAYOUT_PRESETS;
+  }
+};
+
+const PAYOUT_PRESETS = getPayoutPresets();
+const DEFAULT_PAYOUT_PRESET = process.env.DEFAULT_PAYOUT_PRESET || 'even';
+
+// Live Score Configuration
+// Polling only runs when SCORE_PROVIDER is set; the fixture provider reads SCORE_FIXTURE_SOURCE (file path or URL)
+const SCORE_PROVIDER = process.env.SCORE_PROVIDER || null;
+const SCORE_FIXTURE_SOURCE = process.env.SCORE_FIXTURE_SOURCE;
+const SCORE_POLL_INTERVAL_MS = parseInt(process.env.SCORE_POLL_INTERVAL_MS) || 30000; // 30 seconds
+const SCORE_PROVIDER_TIMEOUT_MS = parseInt(process.env.SCORE_PROVIDER_TIMEOUT_MS) || 10000; // 10 seconds
+
+// Live Update Configuration
+const SSE_HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_INTERVAL_MS) || 15000; // 15 seconds
+const SSE_RETRY_MS = parseInt(process.env.SSE_RETRY_MS) || 3000; // 3 seconds
+const CONTEST_EVENT_HISTORY_SIZE = parseInt(process.env.CONTEST_EVENT_HISTORY_SIZE) || 100; // events kept per contest for resume
+
+// Webhook Configuration
+// Failed deliveries are retried after WEBHOOK_RETRY_BASE_MS, doubling each time, up to WEBHOOK_MAX_ATTEMPTS attempts
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000; // 5 seconds
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000; // 30 seconds
+// Webhook URLs must resolve to public addresses unless this is set; it is on by default only in development
+const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+  : NODE_ENV === 'development';
+
+// Idempotency Configuration
+// Responses to requests sent with an Idempotency-Key are replayed for repeats within this window
+const IDEMPOTENCY_KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 86400000; // 24 hours
+
 // Logging Configuration
 const LOG_LEVEL = process.env.LOG_LEVEL || (NODE_ENV === 'production' ? 'info' : 'debug');
 const LOG_FORMAT = process.env.LOG_FORMAT || (NODE_ENV === 'production' ? 'json' : 'simple');
@@ -164,6 +227,33 @@ const validateConfig = () => {
     }
   }
   
+  // Validate authentication mode
+  if (!['firebase', 'local'].includes(AUTH_MODE)) {
+    errors.push('AUTH_MODE must be firebase or local');
+  }
+  
+  if (NODE_ENV === 'production' && AUTH_MODE === 'local') {
+    errors.push('AUTH_MODE local is not allowed in production');
+  }
+  
+  // Validate Firebase credentials
+  if ((FIREBASE_CLIENT_EMAIL || FIREBASE_PRIVATE_KEY) && !(FIREBASE_PROJECT_ID && FIREBASE_CLIENT_EMAIL && FIREBASE_PRIVATE_KEY)) {
+    errors.push('FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY must be provided together');
+  }
+  
+  if (NODE_ENV === 'production' && FIRESTORE_EMULATOR_HOST) {
+    errors.push('FIRESTORE_EMULATOR_HOST is not allowed in production');
+  }
+  
+  // Validate storage backend
+  if (!['firestore', 'memory'].includes(STORAGE_BACKEND)) {
+    errors.push('STORAGE_BACKEND must be firestore or memory');
+  }
+  
+  if (NODE_ENV === 'production' && STORAGE_BACKEND === 'memory') {
+    errors.push('STORAGE_BACKEND memory is not allowed in production');
+  }
+  
   if (RATE_LIMIT_WINDOW_MS <= 0) {
     errors.push('RATE_LIMIT_WINDOW_MS must be a positive number');
   }
@@ -172,6 +262,48 @@ const validateConfig = () => {
     errors.push('RATE_LIMIT_MAX_REQUESTS must be a positive number');
   }
   
+  // Validate payout presets
+  if (payoutPresetsError) {
+    errors.push(`PAYOUT_PRESETS must be valid JSON: ${payoutPresetsError}`);
+  }
+  
+  Object.entries(PAYOUT_PRESETS).forEach(([name, split]) => {
+    if (!Array.isArray(split) || split.length === 0 || split.some(percent => typeof percent !== 'number' || percent < 0)) {
+      errors.push(`Payout preset '${name}' must be a non-empty array of non-negative percentages`);
+    } else if (split.reduce((total, percent) => total + percent, 0) !== 100) {
+      errors.push(`Payout preset '${name}' must add up to 100`);
+    }
+  });
+  
+  if (!PAYOUT_PRESETS[DEFAULT_PAYOUT_PRESET]) {
+    errors.push(`DEFAULT_PAYOUT_PRESET '${DEFAULT_PAYOUT_PRESET}' is not a known payout preset`);
+  }
+  
+  // Validate live score settings
+  if (SCORE_PROVIDER === 'fixture' && !SCORE_FIXTURE_SOURCE) {
+    errors.push('SCORE_FIXTURE_SOURCE must be provided when SCORE_PROVIDER is fixture');
+  }
+  
+  if (SCORE_POLL_INTERVAL_MS < 1000) {
+    errors.push('SCORE_POLL_INTERVAL_MS must be at least 1000');
+  }
+  
+  if (SSE_HEARTBEAT_INTERVAL_MS < 1000) {
+    errors.push('SSE_HEARTBEAT_INTERVAL_MS must be at least 1000');
+  }
+  
+  if (WEBHOOK_MAX_ATTEMPTS < 1 || WEBHOOK_MAX_ATTEMPTS > 10) {
+    errors.push('WEBHOOK_MAX_ATTEMPTS must be between 1 and 10');
+  }
+  
+  if (NODE_ENV === 'production' && WEBHOOK_ALLOW_PRIVATE_TARGETS) {
+    errors.push('WEBHOOK_ALLOW_PRIVATE_TARGETS is not allowed in production');
+  }
+  
+  if (IDEMPOTENCY_KEY_TTL_MS < 60000) {
+    errors.push('IDEMPOTENCY_KEY_TTL_MS must be at least 60000');
+  }
+  
   // Validate request size limits
   const validateSizeLimit = (size, name) => {
     if (typeof size === 'string') {
@@ -258,6 +390,15 @@ module.exports = {
   FIREBASE_PROJECT_ID,
   FIREBASE_PRIVATE_KEY,
   FIREBASE_CLIENT_EMAIL,
+  GOOGLE_APPLICATION_CREDENTIALS,
+  FIRESTORE_EMULATOR_HOST,
+  
+  // Storage
+  STORAGE_BACKEND,
+  
+  // Authentication
+  AUTH_MODE,
+  AUTH_CHECK_REVOKED,
   
   // Security
   MAX_REQUEST_SIZE,
@@ -276,6 +417,30 @@ module.exports = {
   START_CONTEST_LIMIT,
   DDOS_LIMIT,
   
+  // Payouts
+  PAYOUT_PRESETS,
+  DEFAULT_PAYOUT_PRESET,
+  
+  // Live Scores
+  SCORE_PROVIDER,
+  SCORE_FIXTURE_SOURCE,
+  SCORE_POLL_INTERVAL_MS,
+  SCORE_PROVIDER_TIMEOUT_MS,
+  
+  // Live Updates
+  SSE_HEARTBEAT_INTERVAL_MS,
+  SSE_RETRY_MS,
+  CONTEST_EVENT_HISTORY_SIZE,
+  
+  // Webhooks
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_ALLOW_PRIVATE_TARGETS,
+  
+  // Idempotency
+  IDEMPOTENCY_KEY_TTL_MS,
+  
   // Logging
   LOG_LEVEL,
   LOG_FORMAT,
@@ -1,33 +1,106 @@
+const fs = require('fs');
+const path = require('path');
 const admin = require('firebase-admin');
 const config = require('./config');
 const logger = require('../utils/logger');
 const { handleError, ErrorTypes } = require('../utils/errorHandler');
+const { createMemoryStore } = require('../repositories/memoryStore');
 
-// Store Firebase app globally for graceful shutdown
+const StorageBackends = {
+  FIRESTORE: 'firestore',
+  MEMORY: 'memory'
+};
+
+// Kept so the server entrypoint can close it on shutdown
 let firebaseApp = null;
 
+const SERVICE_ACCOUNT_FILE = path.join(__dirname, '..', 'serviceAccountKey.json');
+
+// Emulators accept any project ID; the demo- prefix keeps them from reaching real Google Cloud resources
+const EMULATOR_PROJECT_ID = 'demo-premier-squares';
+
 /**
- * Load Firebase service account credentials
- * @returns {Object|null} Service account object or null if not found
+ * Read a service account key file
+ * @param {string} file - Path to the JSON key file
+ * @returns {Object} Service account
  */
-const loadServiceAccount = () => {
+const readServiceAccountFile = (file) => {
   try {
-    // Use JSON file directly (bypass environment variables)
-    logger.info('Loading Firebase credentials from serviceAccountKey.json');
-    return require('../serviceAccountKey.json');
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
   } catch (error) {
-    // Use structured error handling
-    handleError(error, null, ErrorTypes.CONFIGURATION, {
-      operation: 'load_firebase_credentials',
-      file: 'serviceAccountKey.json'
-    });
-    logger.warn('No Firebase credentials found - running in mock mode');
-    return null;
+    throw new Error(`Could not read Firebase service account file ${file}: ${error.message}`);
   }
 };
 
+/**
+ * Resolve Firebase service account credentials, trying in order:
+ *   1. FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY
+ *   2. The key file at GOOGLE_APPLICATION_CREDENTIALS
+ *   3. serviceAccountKey.json in the project root
+ * @returns {Object|null} Service account and where it came from, or null when none is configured
+ * @throws {Error} When a configured key file cannot be read
+ */
+const resolveServiceAccount = () => {
+  if (config.FIREBASE_CLIENT_EMAIL && config.FIREBASE_PRIVATE_KEY) {
+    return {
+      source: 'environment variables',
+      serviceAccount: {
+        project_id: config.FIREBASE_PROJECT_ID,
+        client_email: config.FIREBASE_CLIENT_EMAIL,
+        // Keys set through env files or CI secrets usually have their newlines escaped
+        private_key: config.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+      }
+    };
+  }
+
+  if (config.GOOGLE_APPLICATION_CREDENTIALS) {
+    return {
+      source: config.GOOGLE_APPLICATION_CREDENTIALS,
+      serviceAccount: readServiceAccountFile(config.GOOGLE_APPLICATION_CREDENTIALS)
+    };
+  }
+
+  if (fs.existsSync(SERVICE_ACCOUNT_FILE)) {
+    return {
+      source: 'serviceAccountKey.json',
+      serviceAccount: readServiceAccountFile(SERVICE_ACCOUNT_FILE)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Get the options to initialize Firebase with
+ * @returns {Object|null} App options, or null when Firebase is not configured
+ */
+const getFirebaseOptions = () => {
+  const resolved = resolveServiceAccount();
+
+  if (resolved) {
+    const { source, serviceAccount } = resolved;
+    logger.info(`Loading Firebase credentials from ${source}`);
+    return {
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL: config.FIREBASE_DATABASE_URL || `https://${serviceAccount.project_id}.firebaseio.com`
+    };
+  }
+
+  // The SDK sends Firestore requests to FIRESTORE_EMULATOR_HOST by itself; emulators need no credentials
+  if (config.FIRESTORE_EMULATOR_HOST) {
+    const projectId = config.FIREBASE_PROJECT_ID || EMULATOR_PROJECT_ID;
+    logger.info(`Using the Firestore emulator at ${config.FIRESTORE_EMULATOR_HOST}`, { projectId });
+    return { projectId };
+  }
+
+  return null;
+};
+
 /**
  * Initialize Firebase Admin SDK
+ * Outside production the service keeps running without Firebase; in production it fails fast,
+ * since every request would otherwise fail
+ * @throws {Error} In production, when Firebase cannot be initialized
  */
 const initializeFirebase = () => {
   try {
@@ -38,63 +111,68 @@ const initializeFirebase = () => {
       return;
     }
 
-    const serviceAccount = loadServiceAccount();
-    
-    if (serviceAccount) {
-      firebaseApp = admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount),
-        databaseURL: config.FIREBASE_DATABASE_URL || `https://${serviceAccount.project_id}.firebaseio.com`
-      });
-      
-      // Store Firebase app globally for graceful shutdown
-      global.firebaseApp = firebaseApp;
-      
-      logger.info('Firebase initialized successfully');
-    } else {
-      logger.warn('Firebase not configured - running in mock mode');
+    const options = getFirebaseOptions();
+    if (!options) {
+      throw new Error('No Firebase credentials found. Set FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY, ' +
+        'or GOOGLE_APPLICATION_CREDENTIALS, or add serviceAccountKey.json');
     }
+
+    firebaseApp = admin.initializeApp(options);
+    logger.info('Firebase initialized successfully');
   } catch (error) {
     // Use structured error handling
     handleError(error, null, ErrorTypes.CONFIGURATION, {
-      operation: 'initialize_firebase',
-      serviceAccount: serviceAccount ? 'loaded' : 'not_found'
+      operation: 'initialize_firebase'
     });
-    // Don't throw - let the app continue without Firebase
+    if (config.isProduction) {
+      throw error;
+    }
+
+    logger.warn('Firebase not configured - running without Firebase');
   }
 };
 
 // Initialize Firebase
 initializeFirebase();
 
-// Get Firestore instance with error handling
-let db = null;
-try {
-  // Check if Firebase is initialized before trying to get Firestore
-  if (admin.apps.length > 0) {
-    db = admin.firestore();
+/**
+ * Get the database selected by STORAGE_BACKEND
+ * @returns {Object|null} Firestore or the in-memory store; null when Firestore is selected but unavailable
+ */
+const initializeDatabase = () => {
+  if (config.STORAGE_BACKEND === StorageBackends.MEMORY) {
+    logger.warn('Using the in-memory store - data is lost when the process exits');
+    return createMemoryStore();
+  }
+
+  // Firebase failing to initialize has already been reported; routes respond 503 while there is no database
+  if (admin.apps.length === 0) {
+    logger.warn('Firestore not available - set STORAGE_BACKEND=memory to run without Firebase');
+    return null;
+  }
+
+  try {
+    const firestore = admin.firestore();
     logger.info('Firestore initialized successfully');
-  } else {
-    throw new Error('Firebase not initialized');
+    return firestore;
+  } catch (error) {
+    // Use structured error handling
+    handleError(error, null, ErrorTypes.CONFIGURATION, {
+      operation: 'initialize_firestore',
+      firebaseApps: admin.apps?.length || 0
+    });
+    if (config.isProduction) {
+      throw error;
+    }
+
+    logger.warn('Firestore not available - set STORAGE_BACKEND=memory to run without Firebase');
+    return null;
   }
-} catch (error) {
-  // Use structured error handling
-  handleError(error, null, ErrorTypes.CONFIGURATION, {
-    operation: 'initialize_firestore',
-    firebaseApps: admin.apps?.length || 0
-  });
-  
-  // Create a mock db object for graceful degradation
-  db = {
-    collection: () => ({
-      doc: () => ({
-        get: async () => ({ exists: false, data: () => null }),
-        set: async () => ({}),
-        update: async () => ({}),
-        delete: async () => ({})
-      })
-    })
-  };
-  logger.warn('Using mock Firestore - Firebase not available');
-}
-
-module.exports = { db };
+};
+
+const db = initializeDatabase();
+
+// Get Auth instance for verifying ID tokens; null when Firebase is not configured
+const auth = admin.apps.length > 0 ? admin.auth() : null;
+
+module.exports = { StorageBackends, firebaseApp, db, auth };
@@ -0,0 +1,156 @@
+const AuthModes = {
+  FIREBASE: 'firebase',
+  LOCAL: 'local'
+};
+
+// Local tokens look like `local:<uid>` or `local:<uid>:<email>`
+const LOCAL_TOKEN_PATTERN = /^local:([a-zA-Z0-9_-]{1,128})(?::([^:\s]+@[^:\s]+))?$/;
+
+/**
+ * Create an authentication error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Unauthorized error
+ */
+const createUnauthorizedError = (message, code) => {
+  const error = new Error(message);
+  error.name = 'UnauthorizedError';
+  error.code = code;
+  return error;
+};
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token, or null when no credentials were sent
+ * @throws {Error} Unauthorized error for a malformed header
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw createUnauthorizedError('Authorization header must use the Bearer scheme', 'auth/invalid-authorization-header');
+  }
+  return match[1];
+};
+
+/**
+ * Verify a local stand-in token
+ * Only available when AUTH_MODE is local, which is rejected in production
+ * @param {string} token - Bearer token
+ * @returns {Object} Authenticated user
+ */
+const verifyLocalToken = (token) => {
+  const match = token.match(LOCAL_TOKEN_PATTERN);
+  if (!match) {
+    throw createUnauthorizedError('Local tokens must look like local:<uid> or local:<uid>:<email>', 'auth/argument-error');
+  }
+
+  return {
+    uid: match[1],
+    email: match[2] || null,
+    emailVerified: Boolean(match[2]),
+    name: null,
+    claims: {},
+    authProvider: AuthModes.LOCAL
+  };
+};
+
+/**
+ * Create the authentication middleware of an app
+ * @param {Object} dependencies - Middleware dependencies
+ * @param {Object|null} dependencies.auth - Firebase Auth instance; null when Firebase is not configured
+ * @param {Object} dependencies.config - Configuration; AUTH_MODE selects Firebase or local tokens
+ * @param {Object} dependencies.logger - Logger
+ * @returns {Object} authenticate, plus the requireAuth and optionalAuth middleware built from it
+ */
+const createAuthMiddleware = ({ auth, config, logger }) => {
+  /**
+   * Verify a Firebase ID token
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object>} Authenticated user
+   */
+  const verifyFirebaseToken = async (token) => {
+    if (!auth) {
+      const error = new Error('Authentication service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const decoded = await auth.verifyIdToken(token, config.AUTH_CHECK_REVOKED);
+      return {
+        uid: decoded.uid,
+        email: decoded.email || null,
+        emailVerified: Boolean(decoded.email_verified),
+        name: decoded.name || null,
+        claims: decoded,
+        authProvider: AuthModes.FIREBASE
+      };
+    } catch (error) {
+      const message = error.code === 'auth/id-token-expired'
+        ? 'ID token has expired'
+        : 'ID token is invalid';
+      throw createUnauthorizedError(message, error.code || 'auth/invalid-id-token');
+    }
+  };
+
+  /**
+   * Create authentication middleware
+   * A token that is sent is always verified; `required` only decides whether a request without one may continue
+   * @param {Object} options - Authentication options
+   * @param {boolean} options.required - Whether the route rejects anonymous requests
+   * @returns {Function} Express middleware that sets req.user (null for anonymous requests)
+   */
+  const authenticate = ({ required = true } = {}) => {
+    return async (req, res, next) => {
+      try {
+        const token = getBearerToken(req);
+
+        if (!token) {
+          if (required) {
+            throw createUnauthorizedError('Authentication required', 'auth/missing-token');
+          }
+          req.user = null;
+          return next();
+        }
+
+        req.user = config.AUTH_MODE === AuthModes.LOCAL
+          ? verifyLocalToken(token)
+          : await verifyFirebaseToken(token);
+
+        logger.debug('Request authenticated', {
+          uid: req.user.uid,
+          authProvider: req.user.authProvider,
+          endpoint: req.originalUrl
+        });
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  };
+
+  // Routes use these to declare whether they need a signed-in user
+  const requireAuth = authenticate({ required: true });
+  const optionalAuth = authenticate({ required: false });
+
+  return {
+    authenticate,
+    requireAuth,
+    optionalAuth,
+    verifyFirebaseToken
+  };
+};
+
+module.exports = {
+  AuthModes,
+  createAuthMiddleware,
+  getBearerToken,
+  verifyLocalToken
+};
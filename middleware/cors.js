@@ -122,13 +122,20 @@ const createCorsOptions = () => {
       'Authorization', 
       'X-Requested-With',
       'Accept',
-      'Origin'
+      'Origin',
+      'X-Request-Id',
+      'If-Match',
+      'If-None-Match',
+      'Idempotency-Key'
     ],
     exposedHeaders: [
       'X-Total-Count',
       'X-RateLimit-Limit',
       'X-RateLimit-Remaining',
-      'X-RateLimit-Reset'
+      'X-RateLimit-Reset',
+      'X-Request-Id',
+      'ETag',
+      'Idempotent-Replayed'
     ],
     maxAge: 86400, // Cache preflight for 24 hours
     preflightContinue: false,
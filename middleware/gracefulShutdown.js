@@ -5,11 +5,17 @@ const config = require('../config/config');
  * Graceful shutdown manager
  */
 class GracefulShutdown {
-  constructor() {
+  /**
+   * @param {Object} options - Shutdown options
+   * @param {Object} options.firebaseApp - Firebase app to close once the server has stopped
+   */
+  constructor({ firebaseApp = null } = {}) {
+    this.firebaseApp = firebaseApp;
     this.isShuttingDown = false;
     this.activeConnections = new Set();
     this.shutdownTimeout = config.GRACEFUL_SHUTDOWN_TIMEOUT || 30000; // 30 seconds
     this.shutdownStartTime = null;
+    this.cleanupTasks = [];
     
     // Bind methods
     this.handleShutdown = this.handleShutdown.bind(this);
@@ -35,6 +41,15 @@ class GracefulShutdown {
     logger.info('Graceful shutdown initialized');
   }
 
+  /**
+   * Register background work or long-lived connections to stop before the server closes
+   * @param {string} name - Task name for logging
+   * @param {Function} task - Function that stops the work (may return a promise)
+   */
+  addCleanupTask(name, task) {
+    this.cleanupTasks.push({ name, task });
+  }
+
   /**
    * Handle new connection
    * @param {Object} socket - Socket connection
@@ -88,19 +103,23 @@ class GracefulShutdown {
     });
 
     try {
-      // Step 1: Stop accepting new connections
+      // Step 1: Stop background work and close long-lived streams,
+      // which would otherwise keep the server from closing
+      await this.runCleanupTasks();
+
+      // Step 2: Stop accepting new connections
       await this.stopAcceptingConnections();
 
-      // Step 2: Wait for active requests to complete
+      // Step 3: Wait for active requests to complete
       await this.waitForActiveRequests();
 
-      // Step 3: Close database connections
+      // Step 4: Close database connections
       await this.closeDatabaseConnections();
 
-      // Step 4: Close server
+      // Step 5: Close server
       await this.closeServer();
 
-      // Step 5: Exit process
+      // Step 6: Exit process
       this.exitProcess(0);
 
     } catch (error) {
@@ -124,6 +143,22 @@ class GracefulShutdown {
     });
   }
 
+  /**
+   * Run registered cleanup tasks
+   */
+  async runCleanupTasks() {
+    logger.info('Stopping background work...');
+
+    for (const { name, task } of this.cleanupTasks) {
+      try {
+        await task();
+        logger.info(`Stopped ${name}`);
+      } catch (error) {
+        logger.error(`Error stopping ${name}:`, error);
+      }
+    }
+  }
+
   /**
    * Wait for active requests to complete
    */
@@ -167,8 +202,8 @@ class GracefulShutdown {
     
     try {
       // Close Firebase connections if available
-      if (global.firebaseApp) {
-        await global.firebaseApp.delete();
+      if (this.firebaseApp) {
+        await this.firebaseApp.delete();
         logger.info('Firebase connections closed');
       }
       
@@ -228,9 +263,11 @@ class GracefulShutdown {
 
 /**
  * Middleware to track active requests
+ * Reads the shutdown manager from app.locals.gracefulShutdown; apps created without one never refuse requests
  */
 const trackActiveRequests = (req, res, next) => {
-  if (global.gracefulShutdown && global.gracefulShutdown.isShuttingDown) {
+  const { gracefulShutdown } = req.app.locals;
+  if (gracefulShutdown && gracefulShutdown.isShuttingDown) {
     return res.status(503).json({
       error: 'SERVICE_UNAVAILABLE',
       message: 'Server is shutting down'
@@ -258,7 +295,8 @@ const trackActiveRequests = (req, res, next) => {
  * Health check endpoint that includes shutdown status
  */
 const healthCheckWithShutdown = (req, res) => {
-  const shutdownStatus = global.gracefulShutdown ? global.gracefulShutdown.getStatus() : null;
+  const { gracefulShutdown } = req.app.locals;
+  const shutdownStatus = gracefulShutdown ? gracefulShutdown.getStatus() : null;
   
   res.status(200).json({
     status: 'OK',
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+
+// Any printable ASCII up to 255 characters, which covers UUIDs and the keys common client libraries generate
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// A request still marked as processing after this long is assumed to have died with its process
+const PROCESSING_TIMEOUT_MS = 60 * 1000; // 1 minute
+
+// Expired records are swept at most this often, a batch at a time, so keys that are never reused do not pile up
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+const CLEANUP_BATCH_SIZE = 100;
+
+const IdempotencyStatus = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Create an idempotency conflict error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Conflict error
+ */
+const createConflictError = (message, code) => {
+  const error = new Error(message);
+  error.name = 'ConflictError';
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create middleware that makes a POST safe to retry when the client sends an Idempotency-Key header
+ * The first response is stored for IDEMPOTENCY_KEY_TTL_MS and replayed, with an Idempotent-Replayed
+ * header, for repeats with the same key and body. Must run after authentication and before the
+ * request body is validated, so the body is compared as the client sent it.
+ *
+ * Records carry an expiresAt time. Expired records are swept by the middleware while requests arrive; in
+ * Firestore also enable a TTL policy so they are removed when the service is idle:
+ *   gcloud firestore fields ttls update expiresAt --collection-group=idempotencyKeys --enable-ttl
+ * @param {Object} dependencies - Middleware dependencies
+ * @param {Object} dependencies.db - Firestore or the in-memory store
+ * @param {Object} dependencies.config - Configuration
+ * @param {Object} dependencies.logger - Logger
+ * @returns {Function} Express middleware
+ */
+const createIdempotencyMiddleware = ({ db, config, logger }) => {
+  let lastCleanupAt = 0;
+
+  /**
+   * Get the stored record for a key
+   * Keys are scoped to the user and route, so the same key sent by another user or to another route is unrelated
+   * @param {Object} req - Express request object
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Object} Firestore document reference
+   */
+  const getRecordRef = (req, key) => {
+    return db.collection('idempotencyKeys').doc(hash(`${req.user.uid}:${req.method}:${req.baseUrl}${req.path}:${key}`));
+  };
+
+  /**
+   * Claim a key for this request, or return the stored response of an earlier request with the same key
+   * @param {Object} recordRef - Firestore document reference
+   * @param {string} fingerprint - Hash of the request body
+   * @returns {Promise<Object|null>} Stored record to replay, or null when this request should run
+   * @throws {Error} Conflict error when the key was used with a different body or its request is still running
+   */
+  const claimKey = (recordRef, fingerprint) => {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(recordRef);
+      const record = doc.exists ? doc.data() : null;
+      const now = Date.now();
+
+      const isLive = record && (record.status === IdempotencyStatus.COMPLETED
+        ? record.expiresAt.toMillis() > now
+        : record.startedAt.toMillis() + PROCESSING_TIMEOUT_MS > now);
+
+      if (isLive) {
+        if (record.fingerprint !== fingerprint) {
+          throw createConflictError('Idempotency-Key has already been used with a different request body', 'idempotency-key-reused');
+        }
+        if (record.status === IdempotencyStatus.PROCESSING) {
+          throw createConflictError('A request with this Idempotency-Key is still being processed', 'idempotency-key-in-progress');
+        }
+        return record;
+      }
+
+      // An expired or abandoned record is replaced by the new claim
+      transaction.set(recordRef, {
+        status: IdempotencyStatus.PROCESSING,
+        fingerprint,
+        startedAt: new Date(),
+        expiresAt: new Date(now + config.IDEMPOTENCY_KEY_TTL_MS)
+      });
+      return null;
+    });
+  };
+
+  /**
+   * Store the response to a request so repeats can be replayed
+   * Server errors are not stored; the key is released so the client can retry
+   * @param {Object} recordRef - Firestore document reference
+   * @param {Object} res - Express response object
+   * @param {Object} body - Response body
+   */
+  const storeResponse = async (recordRef, res, body) => {
+    try {
+      if (res.statusCode >= 500) {
+        await recordRef.delete();
+        return;
+      }
+
+      await recordRef.update({
+        status: IdempotencyStatus.COMPLETED,
+        statusCode: res.statusCode,
+        // Stored as plain JSON so replays send exactly the same body
+        body: JSON.stringify(body),
+        etag: res.get('ETag') || null,
+        completedAt: new Date()
+      });
+    } catch (error) {
+      logger.error('Failed to store idempotent response:', {
+        error: error.message,
+        recordId: recordRef.id
+      });
+    }
+  };
+
+  /**
+   * Delete a batch of expired records
+   * Runs at most once per CLEANUP_INTERVAL_MS; failures are logged and retried on a later sweep
+   */
+  const deleteExpiredRecords = async () => {
+    const now = Date.now();
+    if (now - lastCleanupAt < CLEANUP_INTERVAL_MS) {
+      return;
+    }
+    lastCleanupAt = now;
+
+    try {
+      const snapshot = await db.collection('idempotencyKeys')
+        .where('expiresAt', '<=', new Date(now))
+        .limit(CLEANUP_BATCH_SIZE)
+        .get();
+      if (snapshot.empty) {
+        return;
+      }
+
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      logger.debug('Deleted expired idempotency records', { count: snapshot.size });
+    } catch (error) {
+      logger.error('Failed to delete expired idempotency records:', {
+        error: error.message
+      });
+    }
+  };
+
+  const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key || !db) {
+      return next();
+    }
+
+    deleteExpiredRecords();
+
+    try {
+      if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        const error = new Error('Idempotency-Key must be 1-255 printable ASCII characters');
+        error.name = 'ValidationError';
+        error.code = 'invalid-idempotency-key';
+        throw error;
+      }
+
+      const recordRef = getRecordRef(req, key);
+      const record = await claimKey(recordRef, hash(JSON.stringify(req.body || {})));
+
+      if (record) {
+        logger.info('Replaying idempotent response', {
+          uid: req.user.uid,
+          endpoint: req.originalUrl,
+          statusCode: record.statusCode
+        });
+
+        res.set('Idempotent-Replayed', 'true');
+        if (record.etag) {
+          res.set('ETag', record.etag);
+        }
+        return res.status(record.statusCode).json(JSON.parse(record.body));
+      }
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        storeResponse(recordRef, res, body);
+        return json(body);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return idempotent;
+};
+
+module.exports = {
+  IdempotencyStatus,
+  createIdempotencyMiddleware
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// IDs passed in by a proxy or client are kept so a request can be traced end to end
+const REQUEST_ID_PATTERN = /^[a-zA-Z0-9._-]{1,128}$/;
+
+/**
+ * Give every request an ID, reusing a well-formed X-Request-Id header when one is sent
+ * The ID is echoed back so clients can quote it when reporting a problem
+ */
+const assignRequestId = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+
+  // Error logs read the ID from the request headers
+  req.headers['x-request-id'] = req.id;
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  assignRequestId
+};
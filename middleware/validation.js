@@ -1,5 +1,8 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const config = require('../config/config');
+const { GRID_SIZES, DEFAULT_GRID_SIZE } = require('../utils/board');
+const { ContestVisibility } = require('../utils/contestRoles');
 const { handleValidationError } = require('../utils/errorHandler');
 
 // Sanitization helper functions
@@ -66,12 +69,47 @@ const contestIdSchema = Joi.string()
     'string.max': 'Contest ID is too long'
   });
 
+const gridSizeSchema = Joi.number()
+  .valid(...GRID_SIZES)
+  .default(DEFAULT_GRID_SIZE)
+  .messages({
+    'number.base': 'gridSize must be a number',
+    'any.only': `gridSize must be one of ${GRID_SIZES.join(', ')}`
+  });
+
+const squareIndexSchema = Joi.number()
+  .integer()
+  .required()
+  .min(0)
+  .max(99)
+  .messages({
+    'number.base': 'Square index must be a number',
+    'number.integer': 'Square index must be a whole number',
+    'number.min': 'Square index cannot be negative',
+    'number.max': 'Square index cannot exceed 99',
+    'any.required': 'Square index is required'
+  });
+
+const scoreSchema = Joi.number()
+  .integer()
+  .required()
+  .min(0)
+  .max(999)
+  .messages({
+    'number.base': 'Score must be a number',
+    'number.integer': 'Score must be a whole number',
+    'number.min': 'Score cannot be negative',
+    'number.max': 'Score cannot exceed 999',
+    'any.required': 'Score is required'
+  });
+
 const quarterPrizesSchema = Joi.object({
   quarter1: Joi.number()
     .required()
     .min(0)
     .max(100000)
     .precision(2)
+    .when('payoutMode', { is: 'standard', then: Joi.optional() })
     .messages({
       'number.base': 'quarter1 prize must be a number',
       'number.min': 'quarter1 prize cannot be negative',
@@ -83,6 +121,7 @@ const quarterPrizesSchema = Joi.object({
     .min(0)
     .max(100000)
     .precision(2)
+    .when('payoutMode', { is: 'standard', then: Joi.optional() })
     .messages({
       'number.base': 'quarter2 prize must be a number',
       'number.min': 'quarter2 prize cannot be negative',
@@ -94,6 +133,7 @@ const quarterPrizesSchema = Joi.object({
     .min(0)
     .max(100000)
     .precision(2)
+    .when('payoutMode', { is: 'standard', then: Joi.optional() })
     .messages({
       'number.base': 'quarter3 prize must be a number',
       'number.min': 'quarter3 prize cannot be negative',
@@ -105,6 +145,7 @@ const quarterPrizesSchema = Joi.object({
     .min(0)
     .max(100000)
     .precision(2)
+    .when('payoutMode', { is: 'standard', then: Joi.optional() })
     .messages({
       'number.base': 'quarter4 prize must be a number',
       'number.min': 'quarter4 prize cannot be negative',
@@ -116,6 +157,7 @@ const quarterPrizesSchema = Joi.object({
     .min(0)
     .max(100000)
     .precision(2)
+    .when('payoutMode', { is: 'standard', then: Joi.optional() })
     .messages({
       'number.base': 'totalPot must be a number',
       'number.min': 'totalPot cannot be negative',
@@ -129,9 +171,21 @@ const quarterPrizesSchema = Joi.object({
       'string.base': 'payoutMode must be a string',
       'any.only': 'payoutMode must be either "standard" or "custom"',
       'any.required': 'payoutMode is required'
+    }),
+  preset: Joi.string()
+    .valid(...Object.keys(config.PAYOUT_PRESETS))
+    .when('payoutMode', { is: 'custom', then: Joi.forbidden() })
+    .messages({
+      'any.only': `preset must be one of ${Object.keys(config.PAYOUT_PRESETS).join(', ')}`,
+      'any.unknown': 'preset is only allowed for standard payouts'
     })
 }).required()
 .custom((value, helpers) => {
+  // Standard payouts are computed by the server, so only custom amounts are checked here
+  if (value.payoutMode !== 'custom') {
+    return value;
+  }
+  
   // Validate that total quarter payouts don't exceed total pot
   const totalQuarterPayouts = value.quarter1 + value.quarter2 + value.quarter3 + value.quarter4;
   
@@ -150,6 +204,140 @@ const quarterPrizesSchema = Joi.object({
   'quarterPrizes.totalExceeded': 'Total quarter payouts (${{#totalPayouts}}) cannot exceed total pot (${{#totalPot}})'
 });
 
+const UNSOLD_SQUARE_RULES = ['rollover', 'house', 'split'];
+
+const unsoldSquaresSchema = Joi.object({
+  allowed: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'unsoldSquares.allowed must be true or false'
+    }),
+  rule: Joi.string()
+    .valid(...UNSOLD_SQUARE_RULES)
+    .default('house')
+    .messages({
+      'any.only': `unsoldSquares.rule must be one of ${UNSOLD_SQUARE_RULES.join(', ')}`
+    })
+})
+.messages({
+  'object.base': 'unsoldSquares must be an object'
+});
+
+const requirePaymentBeforeStartSchema = Joi.boolean()
+  .messages({
+    'boolean.base': 'requirePaymentBeforeStart must be true or false'
+  });
+
+const visibilitySchema = Joi.string()
+  .valid(...Object.values(ContestVisibility))
+  .messages({
+    'any.only': `visibility must be one of ${Object.values(ContestVisibility).join(', ')}`
+  });
+
+const periodSchema = Joi.object({
+  key: Joi.string()
+    .min(1)
+    .max(30)
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .messages({
+      'string.empty': 'Period key cannot be empty',
+      'string.max': 'Period key cannot exceed 30 characters',
+      'string.pattern.base': 'Period key can only contain letters, numbers, hyphens, and underscores'
+    }),
+  name: Joi.string()
+    .required()
+    .min(1)
+    .max(50)
+    .messages({
+      'string.empty': 'Period name cannot be empty',
+      'string.max': 'Period name cannot exceed 50 characters',
+      'any.required': 'Period name is required'
+    }),
+  prize: Joi.number()
+    .min(0)
+    .max(100000)
+    .precision(2)
+    .messages({
+      'number.base': 'Period prize must be a number',
+      'number.min': 'Period prize cannot be negative',
+      'number.max': 'Period prize cannot exceed $100,000'
+    })
+});
+
+const periodsSchema = Joi.array()
+  .items(periodSchema)
+  .min(1)
+  .max(10)
+  .messages({
+    'array.base': 'periods must be an array',
+    'array.min': 'At least one period is required',
+    'array.max': 'Cannot exceed 10 periods'
+  });
+
+const prizePoolSchema = Joi.object({
+  totalPot: Joi.number()
+    .min(0)
+    .max(100000)
+    .precision(2)
+    .when('payoutMode', { is: 'custom', then: Joi.required() })
+    .messages({
+      'number.base': 'totalPot must be a number',
+      'number.min': 'totalPot cannot be negative',
+      'number.max': 'totalPot cannot exceed $100,000',
+      'any.required': 'totalPot is required for custom payouts'
+    }),
+  payoutMode: Joi.string()
+    .required()
+    .valid('standard', 'custom')
+    .messages({
+      'string.base': 'payoutMode must be a string',
+      'any.only': 'payoutMode must be either "standard" or "custom"',
+      'any.required': 'payoutMode is required'
+    }),
+  preset: Joi.string()
+    .valid(...Object.keys(config.PAYOUT_PRESETS))
+    .when('payoutMode', { is: 'custom', then: Joi.forbidden() })
+    .messages({
+      'any.only': `preset must be one of ${Object.keys(config.PAYOUT_PRESETS).join(', ')}`,
+      'any.unknown': 'preset is only allowed for standard payouts'
+    })
+})
+.messages({
+  'object.base': 'prizePool must be an object'
+});
+
+/**
+ * Validate that custom period prizes are all present and fit within the pot
+ * Used on schemas that accept both periods and prizePool
+ */
+const validatePeriodPrizes = (value, helpers) => {
+  if (!value.periods || !value.prizePool || value.prizePool.payoutMode !== 'custom') {
+    return value;
+  }
+  
+  const missing = value.periods.filter(period => period.prize === undefined);
+  if (missing.length > 0) {
+    return helpers.error('periods.prizeRequired', {
+      periods: missing.map(period => period.name).join(', ')
+    });
+  }
+  
+  const totalPayouts = value.periods.reduce((total, period) => total + period.prize, 0);
+  if (totalPayouts > value.prizePool.totalPot) {
+    return helpers.error('periods.totalExceeded', {
+      totalPayouts,
+      totalPot: value.prizePool.totalPot
+    });
+  }
+  
+  return value;
+};
+
+const periodPrizesMessages = {
+  'periods.prizeRequired': 'Custom payouts need a prize for every period (missing: {{#periods}})',
+  'periods.totalExceeded': 'Total period payouts (${{#totalPayouts}}) cannot exceed total pot (${{#totalPot}})'
+};
+
 // Validation middleware factory
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
@@ -218,6 +406,30 @@ const validateContestId = (req, res, next) => {
   next();
 };
 
+// Specific validation for square index in params
+const validateSquareIndex = (req, res, next) => {
+  const { index } = req.params;
+  
+  const { error } = squareIndexSchema.validate(index);
+  
+  if (error) {
+    // Create validation error
+    const validationError = new Error('Invalid square index');
+    validationError.name = 'ValidationError';
+    
+    // Handle validation error with structured logging
+    const { statusCode, response } = handleValidationError(validationError, req, {
+      field: 'index',
+      value: index,
+      type: 'square_index_validation'
+    });
+    
+    return res.status(statusCode).json(response);
+  }
+  
+  next();
+};
+
 // Sanitization function
 const sanitizeInput = (data) => {
   if (typeof data === 'string') {
@@ -268,11 +480,24 @@ module.exports = {
   nameSchema,
   namesArraySchema,
   contestIdSchema,
+  gridSizeSchema,
+  squareIndexSchema,
+  scoreSchema,
   quarterPrizesSchema,
+  unsoldSquaresSchema,
+  UNSOLD_SQUARE_RULES,
+  requirePaymentBeforeStartSchema,
+  visibilitySchema,
+  periodSchema,
+  periodsSchema,
+  prizePoolSchema,
+  validatePeriodPrizes,
+  periodPrizesMessages,
   
   // Validation middleware
   validate,
   validateContestId,
+  validateSquareIndex,
   validateContentType,
   
   // Sanitization
@@ -0,0 +1,233 @@
+/**
+ * Contest Repository
+ * Storage access for contests and their committed seeds
+ *
+ * Works against the database it is created with (Firestore or the in-memory store).
+ * Functions that take an optional transaction read or write through it when one is given.
+ */
+
+/**
+ * Create the contest repository
+ * @param {Object} db - Firestore or the in-memory store
+ * @returns {Object} Contest repository
+ */
+const createContestRepository = (db) => {
+  const getContestsCollection = () => db.collection('contests');
+
+  // Seeds are kept outside the contest document so they are never returned before the reveal
+  const getSeedRef = (id) => db.collection('contestSeeds').doc(id);
+
+  // Each invite code in use is reserved in a document named after it, so two contests cannot take the same code
+  const getInviteCodeRef = (inviteCode) => db.collection('inviteCodes').doc(inviteCode);
+
+  /**
+   * Get a reference to a contest document
+   * @param {string} id - Contest ID
+   * @returns {Object} Document reference
+   */
+  const getContestRef = (id) => getContestsCollection().doc(id);
+
+  /**
+   * Read a contest
+   * @param {string} id - Contest ID
+   * @param {Object} transaction - Transaction to read in
+   * @returns {Promise<Object>} Document snapshot; check `exists`
+   */
+  const getContest = (id, transaction) => {
+    const ref = getContestRef(id);
+    return transaction ? transaction.get(ref) : ref.get();
+  };
+
+  /**
+   * Store a new contest
+   * @param {Object} contestData - Contest data
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Promise<string>} ID of the new contest
+   */
+  const createContest = async (contestData, transaction) => {
+    const ref = getContestsCollection().doc();
+    await (transaction ? transaction.set(ref, contestData) : ref.set(contestData));
+    return ref.id;
+  };
+
+  /**
+   * Update fields of a contest
+   * @param {string} id - Contest ID
+   * @param {Object} update - Fields to write
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Promise|Object} Write result, or the transaction
+   */
+  const updateContest = (id, update, transaction) => {
+    const ref = getContestRef(id);
+    return transaction ? transaction.update(ref, update) : ref.update(update);
+  };
+
+  /**
+   * Find the contest using an invite code
+   * @param {string} inviteCode - Formatted invite code
+   * @param {Object} transaction - Transaction to read in
+   * @returns {Promise<Object|null>} Document snapshot, or null when no contest uses the code
+   */
+  const findContestByInviteCode = async (inviteCode, transaction) => {
+    const query = getContestsCollection().where('inviteCode', '==', inviteCode).limit(1);
+    const snapshot = transaction ? await transaction.get(query) : await query.get();
+    return snapshot.empty ? null : snapshot.docs[0];
+  };
+
+  /**
+   * Check whether an invite code is in use
+   * Contests given their code before codes were reserved are found by querying for the code
+   * @param {string} inviteCode - Formatted invite code
+   * @param {Object} transaction - Transaction to read in; reserve the code in the same transaction
+   * @returns {Promise<boolean>} Whether the code is reserved or used by a contest
+   */
+  const isInviteCodeTaken = async (inviteCode, transaction) => {
+    const reservation = await transaction.get(getInviteCodeRef(inviteCode));
+    return reservation.exists || Boolean(await findContestByInviteCode(inviteCode, transaction));
+  };
+
+  /**
+   * Reserve an invite code for a contest
+   * The write fails if the code was reserved since it was checked
+   * @param {string} inviteCode - Formatted invite code
+   * @param {string} contestId - Contest ID
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Object} The transaction
+   */
+  const reserveInviteCode = (inviteCode, contestId, transaction) => {
+    return transaction.create(getInviteCodeRef(inviteCode), { contestId, createdAt: new Date() });
+  };
+
+  /**
+   * Release an invite code a contest no longer uses
+   * @param {string} inviteCode - Formatted invite code
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Object} The transaction
+   */
+  const releaseInviteCode = (inviteCode, transaction) => transaction.delete(getInviteCodeRef(inviteCode));
+
+  /**
+   * Find the contests in any of the given statuses
+   * @param {string[]} statuses - Contest statuses
+   * @returns {Promise<Object[]>} Document snapshots
+   */
+  const findContestsByStatus = async (statuses) => {
+    const snapshot = await getContestsCollection().where('status', 'in', statuses).get();
+    return snapshot.docs;
+  };
+
+  /**
+   * List contests a page at a time
+   * @param {Object} options - Listing options
+   * @param {string} options.status - Only contests in this status
+   * @param {string} options.eventId - Only contests for this event
+   * @param {Date} options.createdFrom - Only contests created at or after this time
+   * @param {Date} options.createdTo - Only contests created at or before this time
+   * @param {string} options.sortBy - Field to sort by
+   * @param {string} options.order - asc or desc
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - ID of the last contest of the previous page
+   * @returns {Promise<Object>} Document snapshots of the page and whether another page exists
+   * @throws {Error} Validation error when the cursor is not a contest
+   */
+  const listContests = async ({ status, eventId, createdFrom, createdTo, sortBy, order, limit, cursor }) => {
+    let query = getContestsCollection();
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    if (eventId) {
+      query = query.where('eventId', '==', eventId);
+    }
+    if (createdFrom) {
+      query = query.where('createdAt', '>=', createdFrom);
+    }
+    if (createdTo) {
+      query = query.where('createdAt', '<=', createdTo);
+    }
+
+    query = query.orderBy(sortBy, order);
+
+    if (cursor) {
+      const cursorDoc = await getContest(cursor);
+      if (!cursorDoc.exists) {
+        const error = new Error('Invalid pagination cursor');
+        error.name = 'ValidationError';
+        error.details = { cursor };
+        throw error;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const snapshot = await query.limit(limit + 1).get();
+    return {
+      docs: snapshot.docs.slice(0, limit),
+      hasMore: snapshot.docs.length > limit
+    };
+  };
+
+  /**
+   * Read the seed a contest committed to
+   * @param {string} id - Contest ID
+   * @param {Object} transaction - Transaction to read in
+   * @returns {Promise<string|null>} Seed, or null when none is stored
+   */
+  const getContestSeed = async (id, transaction) => {
+    const ref = getSeedRef(id);
+    const doc = transaction ? await transaction.get(ref) : await ref.get();
+    return doc.exists ? doc.data().seed : null;
+  };
+
+  /**
+   * Store the seed a contest commits to
+   * @param {string} id - Contest ID
+   * @param {string} seed - Seed
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Promise|Object} Write result, or the transaction
+   */
+  const saveContestSeed = (id, seed, transaction) => {
+    const ref = getSeedRef(id);
+    const seedData = { seed, createdAt: new Date() };
+    return transaction ? transaction.set(ref, seedData) : ref.set(seedData);
+  };
+
+  /**
+   * Delete a contest's seed once it has been revealed
+   * @param {string} id - Contest ID
+   * @param {Object} transaction - Transaction to write in
+   * @returns {Promise|Object} Write result, or the transaction
+   */
+  const deleteContestSeed = (id, transaction) => {
+    const ref = getSeedRef(id);
+    return transaction ? transaction.delete(ref) : ref.delete();
+  };
+
+  /**
+   * Run a function in a database transaction
+   * @param {Function} updateFunction - Receives the transaction
+   * @returns {Promise<*>} Result of the function
+   */
+  const runTransaction = (updateFunction) => db.runTransaction(updateFunction);
+
+  return {
+    getContestRef,
+    getContest,
+    createContest,
+    updateContest,
+    findContestByInviteCode,
+    isInviteCodeTaken,
+    reserveInviteCode,
+    releaseInviteCode,
+    findContestsByStatus,
+    listContests,
+    getContestSeed,
+    saveContestSeed,
+    deleteContestSeed,
+    runTransaction
+  };
+};
+
+module.exports = {
+  createContestRepository
+};
@@ -0,0 +1,749 @@
+/**
+ * In-Memory Store
+ * A Firestore stand-in that keeps every document in process memory, for running the API locally
+ * without Firebase (STORAGE_BACKEND=memory)
+ *
+ * Implements the part of the Firestore API this service uses, with Firestore's semantics:
+ * references, add/set/update/create/delete, subcollections, queries with filters, ordering,
+ * cursors and limits, batches, and transactions that retry when a document they read changes
+ * before they commit. Dates are stored as Timestamps and every write gets a new update time,
+ * so document ETags behave as they do against Firestore.
+ *
+ * Data is lost when the process exits.
+ */
+
+const crypto = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+
+// Firestore's status codes for the errors the store can raise
+const StatusCodes = {
+  INVALID_ARGUMENT: 3,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  ABORTED: 10
+};
+
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const AUTO_ID_LENGTH = 20;
+
+const DEFAULT_MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Values of different types sort in this order, as they do in Firestore
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'array', 'map'];
+
+/**
+ * Create an error shaped like the ones the Firestore client raises
+ * @param {number} code - Status code from StatusCodes
+ * @param {string} message - Error message
+ * @returns {Error} Store error
+ */
+const createStoreError = (code, message) => {
+  const status = Object.keys(StatusCodes).find(key => StatusCodes[key] === code);
+  const error = new Error(`${code} ${status}: ${message}`);
+  error.code = code;
+  return error;
+};
+
+const generateAutoId = () => {
+  let id = '';
+  for (let i = 0; i < AUTO_ID_LENGTH; i++) {
+    id += AUTO_ID_ALPHABET[crypto.randomInt(AUTO_ID_ALPHABET.length)];
+  }
+  return id;
+};
+
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Convert a value to the form it is stored in, rejecting values Firestore cannot store
+ * @param {*} value - Value to store
+ * @param {string} fieldPath - Field the value belongs to, for error messages
+ * @param {boolean} inArray - Whether the value is an array element; arrays cannot directly contain arrays
+ * @returns {*} Stored value
+ */
+const toStoredValue = (value, fieldPath, inArray = false) => {
+  if (value === null || typeof value === 'boolean' || typeof value === 'number' || typeof value === 'string') {
+    return value;
+  }
+  if (value === undefined) {
+    throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Cannot use "undefined" as a Firestore value (found in field "${fieldPath}")`);
+  }
+  if (value instanceof Timestamp) {
+    return value;
+  }
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (Array.isArray(value)) {
+    if (inArray) {
+      throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Cannot nest arrays directly in arrays (found in field "${fieldPath}")`);
+    }
+    return value.map(item => toStoredValue(item, fieldPath, true));
+  }
+  if (typeof value === 'object' && isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, toStoredValue(item, fieldPath ? `${fieldPath}.${key}` : key)]));
+  }
+
+  const type = typeof value === 'object' ? value.constructor.name : typeof value;
+  throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Couldn't serialize value of type "${type}" (found in field "${fieldPath}")`);
+};
+
+/**
+ * Copy a stored value so callers cannot change the store through it
+ * @param {*} value - Stored value
+ * @returns {*} Copy of the value
+ */
+const copyValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(copyValue);
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Timestamp)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyValue(item)]));
+  }
+  return value;
+};
+
+const getField = (data, fieldPath) => {
+  return fieldPath.split('.').reduce((value, key) => (
+    value !== null && typeof value === 'object' && !Array.isArray(value) ? value[key] : undefined
+  ), data);
+};
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] === null || typeof object[key] !== 'object' || Array.isArray(object[key]) || object[key] instanceof Timestamp) {
+      object[key] = {};
+    }
+    return object[key];
+  }, data);
+  parent[last] = value;
+};
+
+const mergeData = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    const isMap = value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Timestamp);
+    const targetIsMap = target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key]) && !(target[key] instanceof Timestamp);
+    target[key] = isMap && targetIsMap ? mergeData({ ...target[key] }, value) : value;
+  });
+  return target;
+};
+
+const getValueType = (value) => {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  if (value instanceof Timestamp) return 'timestamp';
+  if (typeof value === 'string') return 'string';
+  if (Array.isArray(value)) return 'array';
+  return 'map';
+};
+
+/**
+ * Compare two stored values in Firestore's sort order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const typeA = getValueType(a);
+  const typeB = getValueType(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'timestamp':
+      return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+    case 'array': {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.length - b.length;
+    }
+    case 'map': {
+      const keysA = Object.keys(a).sort();
+      const keysB = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        const result = compareValues(keysA[i], keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return keysA.length - keysB.length;
+    }
+    default:
+      return a < b ? -1 : (a > b ? 1 : 0);
+  }
+};
+
+const valuesEqual = (a, b) => compareValues(a, b) === 0;
+
+/**
+ * Check a document against one query filter
+ * Documents without the field never match, as in Firestore
+ * @param {Object} data - Stored document data
+ * @param {Object} filter - Filter with fieldPath, op and value
+ * @returns {boolean} Whether the document matches
+ */
+const matchesFilter = (data, { fieldPath, op, value }) => {
+  const fieldValue = getField(data, fieldPath);
+  if (fieldValue === undefined) {
+    return false;
+  }
+
+  const sameType = getValueType(fieldValue) === getValueType(value);
+  switch (op) {
+    case '==':
+      return valuesEqual(fieldValue, value);
+    case '!=':
+      return fieldValue !== null && !valuesEqual(fieldValue, value);
+    case '<':
+      return sameType && compareValues(fieldValue, value) < 0;
+    case '<=':
+      return sameType && compareValues(fieldValue, value) <= 0;
+    case '>':
+      return sameType && compareValues(fieldValue, value) > 0;
+    case '>=':
+      return sameType && compareValues(fieldValue, value) >= 0;
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.some(item => valuesEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) && value.some(candidate => fieldValue.some(item => valuesEqual(item, candidate)));
+    case 'in':
+      return value.some(candidate => valuesEqual(fieldValue, candidate));
+    case 'not-in':
+      return fieldValue !== null && !value.some(candidate => valuesEqual(fieldValue, candidate));
+    default:
+      throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Invalid query operator "${op}"`);
+  }
+};
+
+const FILTER_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'array-contains', 'array-contains-any', 'in', 'not-in'];
+const LIST_OPERATORS = ['array-contains-any', 'in', 'not-in'];
+
+/**
+ * Document snapshot
+ */
+class MemoryDocumentSnapshot {
+  constructor(ref, entry, readTime) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = Boolean(entry);
+    this.createTime = entry ? entry.createTime : undefined;
+    this.updateTime = entry ? entry.updateTime : undefined;
+    this.readTime = readTime;
+    this._data = entry ? entry.data : undefined;
+  }
+
+  data() {
+    return this.exists ? copyValue(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? copyValue(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+/**
+ * Query snapshot
+ */
+class MemoryQuerySnapshot {
+  constructor(query, docs, readTime) {
+    this.query = query;
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+    this.readTime = readTime;
+  }
+
+  forEach(callback, thisArg) {
+    this.docs.forEach(callback, thisArg);
+  }
+}
+
+/**
+ * Query over the documents of one collection
+ * Queries are immutable; every method returns a new query
+ */
+class MemoryQuery {
+  constructor(store, collectionPath, options = {}) {
+    this._store = store;
+    this._collectionPath = collectionPath;
+    this._options = {
+      filters: [],
+      orderBy: [],
+      limit: null,
+      offset: 0,
+      startAt: null,
+      endAt: null,
+      ...options
+    };
+  }
+
+  _with(options) {
+    return new MemoryQuery(this._store, this._collectionPath, { ...this._options, ...options });
+  }
+
+  where(fieldPath, op, value) {
+    if (!FILTER_OPERATORS.includes(op)) {
+      throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Invalid query operator "${op}"`);
+    }
+    if (LIST_OPERATORS.includes(op) && !Array.isArray(value)) {
+      throw createStoreError(StatusCodes.INVALID_ARGUMENT, `A non-empty array is required for "${op}" filters`);
+    }
+
+    const storedValue = LIST_OPERATORS.includes(op)
+      ? value.map(item => toStoredValue(item, fieldPath, true))
+      : toStoredValue(value, fieldPath);
+    return this._with({ filters: [...this._options.filters, { fieldPath, op, value: storedValue }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) {
+      throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Invalid order direction "${direction}"`);
+    }
+    return this._with({ orderBy: [...this._options.orderBy, { fieldPath, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  offset(offset) {
+    return this._with({ offset });
+  }
+
+  startAt(...values) {
+    return this._with({ startAt: { values, inclusive: true } });
+  }
+
+  startAfter(...values) {
+    return this._with({ startAt: { values, inclusive: false } });
+  }
+
+  endAt(...values) {
+    return this._with({ endAt: { values, inclusive: true } });
+  }
+
+  endBefore(...values) {
+    return this._with({ endAt: { values, inclusive: false } });
+  }
+
+  /**
+   * Get the cursor position a startAt/startAfter/endAt/endBefore call refers to
+   * A document snapshot stands for its values of the ordered fields and its ID
+   */
+  _getCursorValues({ values }) {
+    const [first] = values;
+    if (first instanceof MemoryDocumentSnapshot) {
+      return [
+        ...this._options.orderBy.map(({ fieldPath }) => getField(first._data, fieldPath)),
+        first.id
+      ];
+    }
+    return values.map((value, index) => toStoredValue(value, this._options.orderBy[index]?.fieldPath || '__name__'));
+  }
+
+  /**
+   * Compare a document with a cursor position, following the query's ordering
+   * @returns {number} Negative when the document comes before the cursor
+   */
+  _compareToCursor(entry, id, cursorValues) {
+    const orderings = [...this._options.orderBy, { fieldPath: '__name__', direction: this._getIdDirection() }];
+
+    for (let i = 0; i < Math.min(orderings.length, cursorValues.length); i++) {
+      const { fieldPath, direction } = orderings[i];
+      const value = fieldPath === '__name__' ? id : getField(entry.data, fieldPath);
+      const result = compareValues(value, cursorValues[i]);
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  }
+
+  // Ties are broken by document ID, in the direction of the last explicit ordering
+  _getIdDirection() {
+    const { orderBy } = this._options;
+    return orderBy.length > 0 ? orderBy[orderBy.length - 1].direction : 'asc';
+  }
+
+  _compareEntries([idA, entryA], [idB, entryB]) {
+    for (const { fieldPath, direction } of this._options.orderBy) {
+      const result = compareValues(getField(entryA.data, fieldPath), getField(entryB.data, fieldPath));
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+
+    const result = compareValues(idA, idB);
+    return this._getIdDirection() === 'desc' ? -result : result;
+  }
+
+  async get() {
+    const { filters, orderBy, limit, offset, startAt, endAt } = this._options;
+    const readTime = this._store.getReadTime();
+
+    let entries = [...this._store.getCollection(this._collectionPath).entries()]
+      // Documents missing an ordered field are left out, as in Firestore
+      .filter(([, entry]) => orderBy.every(({ fieldPath }) => getField(entry.data, fieldPath) !== undefined))
+      .filter(([, entry]) => filters.every(filter => matchesFilter(entry.data, filter)))
+      .sort((a, b) => this._compareEntries(a, b));
+
+    if (startAt) {
+      const cursorValues = this._getCursorValues(startAt);
+      entries = entries.filter(([id, entry]) => {
+        const result = this._compareToCursor(entry, id, cursorValues);
+        return startAt.inclusive ? result >= 0 : result > 0;
+      });
+    }
+    if (endAt) {
+      const cursorValues = this._getCursorValues(endAt);
+      entries = entries.filter(([id, entry]) => {
+        const result = this._compareToCursor(entry, id, cursorValues);
+        return endAt.inclusive ? result <= 0 : result < 0;
+      });
+    }
+
+    entries = entries.slice(offset, limit === null ? undefined : offset + limit);
+
+    const docs = entries.map(([id, entry]) => new MemoryDocumentSnapshot(
+      new MemoryDocumentReference(this._store, `${this._collectionPath}/${id}`),
+      entry,
+      readTime
+    ));
+    return new MemoryQuerySnapshot(this, docs, readTime);
+  }
+}
+
+/**
+ * Collection reference
+ */
+class MemoryCollectionReference extends MemoryQuery {
+  constructor(store, path) {
+    super(store, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const segments = this.path.split('/');
+    return segments.length > 1 ? new MemoryDocumentReference(this._store, segments.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id = generateAutoId()) {
+    return new MemoryDocumentReference(this._store, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return [...this._store.getCollection(this.path).keys()].map(id => this.doc(id));
+  }
+}
+
+/**
+ * Document reference
+ */
+class MemoryDocumentReference {
+  constructor(store, path) {
+    this._store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new MemoryCollectionReference(this._store, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(id) {
+    return new MemoryCollectionReference(this._store, `${this.path}/${id}`);
+  }
+
+  isEqual(other) {
+    return other instanceof MemoryDocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return new MemoryDocumentSnapshot(this, this._store.getEntry(this.path), this._store.getReadTime());
+  }
+
+  async set(data, options) {
+    return this._store.commit([createWrite('set', this, data, options)]);
+  }
+
+  async update(data) {
+    return this._store.commit([createWrite('update', this, data)]);
+  }
+
+  async create(data) {
+    return this._store.commit([createWrite('create', this, data)]);
+  }
+
+  async delete() {
+    return this._store.commit([createWrite('delete', this)]);
+  }
+}
+
+/**
+ * Validate and convert a write when it is made, so bad data fails where it was written
+ * @param {string} type - set, update, create or delete
+ * @param {Object} ref - Document reference
+ * @param {Object} data - Data to write
+ * @param {Object} options - Set options; `merge` merges into the existing document
+ * @returns {Object} Write to commit
+ */
+const createWrite = (type, ref, data, options = {}) => {
+  if (type === 'delete') {
+    return { type, path: ref.path };
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data) || !isPlainObject(data)) {
+    throw createStoreError(StatusCodes.INVALID_ARGUMENT, `Data for ${type}() must be an object`);
+  }
+
+  // update() reads dotted keys as paths to nested fields
+  const fields = Object.entries(data).map(([fieldPath, value]) => [fieldPath, toStoredValue(value, fieldPath)]);
+  return { type, path: ref.path, fields, merge: Boolean(options.merge) };
+};
+
+/**
+ * Apply one write to a document's current data
+ * @returns {Object|null} New document data, or null when the document is deleted
+ */
+const applyWrite = (write, current) => {
+  switch (write.type) {
+    case 'delete':
+      return null;
+    case 'update': {
+      const data = copyValue(current);
+      write.fields.forEach(([fieldPath, value]) => setField(data, fieldPath, value));
+      return data;
+    }
+    case 'set': {
+      const data = Object.fromEntries(write.fields);
+      return write.merge && current ? mergeData(copyValue(current), data) : data;
+    }
+    default:
+      return Object.fromEntries(write.fields);
+  }
+};
+
+/**
+ * Batch of writes committed together
+ */
+class MemoryWriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data, options) {
+    this._writes.push(createWrite('set', ref, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(createWrite('update', ref, data));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(createWrite('create', ref, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(createWrite('delete', ref));
+    return this;
+  }
+
+  async commit() {
+    return this._store.commit(this._writes);
+  }
+}
+
+/**
+ * Transaction
+ * Reads must come before writes; the writes are committed together when the transaction function resolves
+ */
+class MemoryTransaction extends MemoryWriteBatch {
+  constructor(store) {
+    super(store);
+    // Document path -> update time when it was read (null when it did not exist)
+    this._reads = new Map();
+  }
+
+  _recordRead(snapshot) {
+    this._reads.set(snapshot.ref.path, snapshot.updateTime || null);
+  }
+
+  async get(refOrQuery) {
+    if (this._writes.length > 0) {
+      throw createStoreError(StatusCodes.INVALID_ARGUMENT, 'Firestore transactions require all reads to be executed before all writes');
+    }
+
+    const snapshot = await refOrQuery.get();
+    (snapshot.docs || [snapshot]).forEach(doc => this._recordRead(doc));
+    return snapshot;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  /**
+   * Whether every document the transaction read is unchanged
+   */
+  _isCurrent() {
+    return [...this._reads].every(([path, updateTime]) => {
+      const entry = this._store.getEntry(path);
+      const currentTime = entry ? entry.updateTime : null;
+      return currentTime === updateTime || Boolean(currentTime && updateTime && currentTime.isEqual(updateTime));
+    });
+  }
+}
+
+/**
+ * In-memory document store
+ */
+class MemoryStore {
+  constructor() {
+    // Collection path -> document ID -> { data, createTime, updateTime }
+    this._collections = new Map();
+    this._lastWriteTime = null;
+  }
+
+  getCollection(path) {
+    return this._collections.get(path) || new Map();
+  }
+
+  getEntry(path) {
+    const segments = path.split('/');
+    return this.getCollection(segments.slice(0, -1).join('/')).get(segments[segments.length - 1]);
+  }
+
+  getReadTime() {
+    return Timestamp.now();
+  }
+
+  /**
+   * Get a new write time, always later than the previous one so document versions never repeat
+   */
+  _nextWriteTime() {
+    const now = Timestamp.now();
+    const last = this._lastWriteTime;
+
+    if (!last || compareValues(now, last) > 0) {
+      this._lastWriteTime = now;
+    } else {
+      const nanoseconds = last.nanoseconds + 1000;
+      this._lastWriteTime = nanoseconds < 1e9
+        ? new Timestamp(last.seconds, nanoseconds)
+        : new Timestamp(last.seconds + 1, nanoseconds - 1e9);
+    }
+    return this._lastWriteTime;
+  }
+
+  /**
+   * Apply writes atomically; nothing is written when any write fails
+   * @param {Object[]} writes - Writes from createWrite
+   * @returns {Object[]} Write results with the commit's update time
+   */
+  commit(writes) {
+    const pending = new Map();
+    const getCurrent = (path) => (pending.has(path) ? pending.get(path) : (this.getEntry(path)?.data || null));
+
+    writes.forEach(write => {
+      const current = getCurrent(write.path);
+      if (write.type === 'update' && !current) {
+        throw createStoreError(StatusCodes.NOT_FOUND, `No document to update: ${write.path}`);
+      }
+      if (write.type === 'create' && current) {
+        throw createStoreError(StatusCodes.ALREADY_EXISTS, `Document already exists: ${write.path}`);
+      }
+      pending.set(write.path, applyWrite(write, current));
+    });
+
+    const writeTime = this._nextWriteTime();
+    pending.forEach((data, path) => {
+      const segments = path.split('/');
+      const collectionPath = segments.slice(0, -1).join('/');
+      const id = segments[segments.length - 1];
+
+      if (!this._collections.has(collectionPath)) {
+        this._collections.set(collectionPath, new Map());
+      }
+      const collection = this._collections.get(collectionPath);
+
+      if (data === null) {
+        collection.delete(id);
+        return;
+      }
+
+      const existing = collection.get(id);
+      collection.set(id, {
+        data,
+        createTime: existing ? existing.createTime : writeTime,
+        updateTime: writeTime
+      });
+    });
+
+    return writes.map(() => ({ writeTime }));
+  }
+}
+
+/**
+ * Create an in-memory database with the Firestore API
+ * @returns {Object} Database
+ */
+const createMemoryStore = () => {
+  const store = new MemoryStore();
+
+  return {
+    collection: (path) => new MemoryCollectionReference(store, path),
+    doc: (path) => new MemoryDocumentReference(store, path),
+    batch: () => new MemoryWriteBatch(store),
+    getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+
+    /**
+     * Run a function in a transaction, retrying it when a document it read changes before it commits
+     * @param {Function} updateFunction - Receives the transaction; its result is returned
+     * @param {Object} options - Transaction options
+     * @param {number} options.maxAttempts - Attempts before giving up
+     * @returns {Promise<*>} Result of the update function
+     */
+    runTransaction: async (updateFunction, { maxAttempts = DEFAULT_MAX_TRANSACTION_ATTEMPTS } = {}) => {
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const transaction = new MemoryTransaction(store);
+        const result = await updateFunction(transaction);
+
+        // Checking and committing happen synchronously, so no other write can slip in between
+        if (transaction._isCurrent()) {
+          store.commit(transaction._writes);
+          return result;
+        }
+      }
+
+      throw createStoreError(StatusCodes.ABORTED, 'Transaction was retried too many times because of concurrent writes');
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,48 @@
+/**
+ * Winner Repository
+ * Storage access for the bag builder winner
+ *
+ * Works against the database it is created with (Firestore or the in-memory store).
+ */
+
+/**
+ * Create the winner repository
+ * @param {Object} db - Firestore or the in-memory store
+ * @returns {Object} Winner repository
+ */
+const createWinnerRepository = (db) => {
+  const getWinnersCollection = () => db.collection('bagBuilderWinners');
+
+  /**
+   * Read the winner
+   * @returns {Promise<Object|null>} Winner data with its ID, or null when no winner has been set
+   */
+  const getWinner = async () => {
+    const snapshot = await getWinnersCollection().limit(1).get();
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const [doc] = snapshot.docs;
+    return { id: doc.id, ...doc.data() };
+  };
+
+  /**
+   * Store the winner
+   * @param {Object} winnerData - Winner data
+   * @returns {Promise<string>} ID of the winner entry
+   */
+  const createWinner = async (winnerData) => {
+    const ref = await getWinnersCollection().add(winnerData);
+    return ref.id;
+  };
+
+  return {
+    getWinner,
+    createWinner
+  };
+};
+
+module.exports = {
+  createWinnerRepository
+};
@@ -1,13 +1,25 @@
+const crypto = require('crypto');
 const express = require('express');
 const Joi = require('joi');
-const { db } = require('../config/firebase');
 const { 
   validate, 
   validateContestId,
+  validateSquareIndex,
   eventIdSchema, 
+  contestIdSchema, 
   costPerSquareSchema, 
+  gridSizeSchema, 
+  nameSchema,
   namesArraySchema,
-  quarterPrizesSchema
+  scoreSchema,
+  quarterPrizesSchema,
+  periodsSchema,
+  prizePoolSchema,
+  validatePeriodPrizes,
+  periodPrizesMessages,
+  unsoldSquaresSchema,
+  requirePaymentBeforeStartSchema,
+  visibilitySchema
 } = require('../middleware/validation');
 const { 
   createContestLimiter, 
@@ -18,269 +30,1644 @@ const {
   asyncErrorHandler, 
   handleFirebaseError
 } = require('../utils/errorHandler');
-const router = express.Router();
-
-const validateContestExists = async (id) => {
-  const doc = await db.collection('contests').doc(id).get();
-  if (!doc.exists) {
-    return { exists: false, error: 'Contest not found' };
-  }
-  return { exists: true, doc };
-};
+const { 
+  isSquareOpen, 
+  toSquares, 
+  countOpenSquares, 
+  getGridSize, 
+  getSquareCount, 
+  getDigitAxes, 
+  groupDigitAxis, 
+  getPeriods, 
+  getUnsoldSquaresSettings 
+} = require('../utils/board');
+const { 
+  ContestStatus, 
+  assertTransition, 
+  assertStatus, 
+  createHistoryEntry, 
+  buildTransitionUpdate 
+} = require('../utils/contestLifecycle');
+const { createCommitment, hashSeed, drawBoard, verifyBoard } = require('../utils/fairness');
+const { resolveQuarterPrizes, resolvePeriodPrizes } = require('../utils/payouts');
+const { PAYMENT_METHODS, buildLedger, buildRefundReport } = require('../utils/ledger');
+const { 
+  ContestRoles, 
+  ContestVisibility, 
+  getContestRole, 
+  canManageContest, 
+  assertContestRole, 
+  assertCanManage, 
+  assertCanViewParticipants, 
+  toVisibleContest 
+} = require('../utils/contestRoles');
+const { generateInviteCode, normalizeInviteCode } = require('../utils/inviteCodes');
+const { getETag, assertIfMatch } = require('../utils/etag');
+const { applyTemplate } = require('../services/templates');
+const { AuditActions, getAuditContext } = require('../services/auditLog');
+const { ContestEventTypes } = require('../services/contestEvents');
 
-const validateContestStatus = (status, allowedStatus = 'new') => {
-  if (status !== allowedStatus) {
-    return { isValid: false, error: `Contest cannot be updated in '${status}' state. Only contests in '${allowedStatus}' state can be updated.` };
-  }
-  return { isValid: true };
-};
+// Create the contests router with the database, repositories, services and middleware it uses
+const createContestsRouter = ({
+  db,
+  contests,
+  auditLog,
+  scoring,
+  templates,
+  contestEvents,
+  eventStreams,
+  requireAuth,
+  optionalAuth,
+  idempotent
+}) => {
+  const {
+    getContest,
+    createContest,
+    updateContest,
+    findContestByInviteCode,
+    isInviteCodeTaken,
+    reserveInviteCode,
+    releaseInviteCode,
+    listContests,
+    getContestSeed,
+    saveContestSeed,
+    deleteContestSeed,
+    runTransaction
+  } = contests;
+  const { getAuditCollection, addAuditEntry } = auditLog;
+  const { recordScore } = scoring;
+  const { getTemplate } = templates;
+  const { publishContestEvent } = contestEvents;
+  const { openEventStream } = eventStreams;
+  const router = express.Router();
 
-const validateStartContest = (contestData) => {
-  const validationErrors = [];
-  
-  // Check if contest status allows starting
-  if (contestData.status !== 'new') {
-    validationErrors.push(`Contest cannot be started in '${contestData.status}' state. Only contests in 'new' state can be started.`);
-  }
-  
-  if (!contestData.eventId) {
-    validationErrors.push('eventId is missing');
-  }
-  
-  if (!contestData.costPerSquare || typeof contestData.costPerSquare !== 'number' || contestData.costPerSquare <= 0) {
-    validationErrors.push('costPerSquare is missing or invalid');
-  }
-  
-  if (!contestData.names || !Array.isArray(contestData.names)) {
-    validationErrors.push('names array is missing');
-  } else if (contestData.names.length !== 100) {
-    validationErrors.push(`names array must have exactly 100 items (currently has ${contestData.names.length})`);
-  } else {
-    for (let i = 0; i < contestData.names.length; i++) {
-      if (typeof contestData.names[i] !== 'string' || contestData.names[i].trim() === '') {
-        validationErrors.push(`names[${i}] must be a non-empty string`);
-        break;
+  const validateContestExists = async (id) => {
+    const doc = await getContest(id);
+    if (!doc.exists) {
+      return { exists: false, error: 'Contest not found' };
+    }
+    return { exists: true, doc };
+  };
+
+  // Invite codes are looked up across all contests, so a new code must not already be in use. The code is
+  // checked and reserved in the same transaction, so concurrent writes cannot both take it
+  const MAX_INVITE_CODE_ATTEMPTS = 5;
+
+  const findUnusedInviteCode = async (transaction) => {
+    for (let attempt = 0; attempt < MAX_INVITE_CODE_ATTEMPTS; attempt++) {
+      const inviteCode = generateInviteCode();
+      if (!await isInviteCodeTaken(inviteCode, transaction)) {
+        return inviteCode;
       }
     }
-  }
-  
-  return validationErrors;
-};
 
-// Create contest schema
-const createContestSchema = Joi.object({
-  eventId: eventIdSchema,
-  costPerSquare: costPerSquareSchema,
-  quarterPrizes: quarterPrizesSchema
-});
-
-// POST /contests - Create a new contest entry
-router.post('/', createContestLimiter, validate(createContestSchema), asyncErrorHandler(async (req, res) => {
-  const { eventId, costPerSquare, quarterPrizes } = req.body;
-
-  // Check if Firebase is available
-  if (!db) {
-    const error = new Error('Firebase service is not configured');
-    error.name = 'ServiceUnavailableError';
+    const error = new Error('Could not generate a unique invite code');
+    error.code = 'invite-code-unavailable';
     throw error;
-  }
-
-  // Create contest entry
-  const contestData = {
-    eventId,
-    costPerSquare,
-    quarterPrizes,
-    createdAt: new Date(),
-    updatedAt: new Date(),
-    status: 'new'
   };
 
-  try {
-    // Add to Firebase collection
-    const docRef = await db.collection('contests').add(contestData);
-
-    res.status(201).json({
-      success: true,
-      message: 'Contest entry created successfully',
-      documentId: docRef.id,
-      data: {
-        ...contestData,
-        id: docRef.id
-      }
+  // Store a new contest owned by the caller, committing to the seed that will drive the draw when it starts
+  const addContest = async (settings, req, action, reason) => {
+    const { seed, commitment } = createCommitment();
+
+    // The contest, its invite code, its seed and its audit entry are written together; a contest stored
+    // without its seed could never start
+    return runTransaction(async (transaction) => {
+      const contestData = {
+        ...settings,
+        inviteCode: await findUnusedInviteCode(transaction),
+        ownerId: req.user.uid,
+        coAdminIds: [],
+        participantIds: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        status: ContestStatus.NEW,
+        statusHistory: [createHistoryEntry(null, ContestStatus.NEW, reason)],
+        fairness: commitment
+      };
+
+      const id = await createContest(contestData, transaction);
+      reserveInviteCode(contestData.inviteCode, id, transaction);
+      saveContestSeed(id, seed, transaction);
+      addAuditEntry(transaction, id, getAuditContext(req), action, null, contestData);
+
+      return { ...contestData, id };
     });
-  } catch (error) {
-    // Handle Firebase-specific errors
-    const { statusCode, response } = handleFirebaseError(error, req, 'create_contest');
-    res.status(statusCode).json(response);
-  }
-}));
-
-// GET /contests/:id - Get a specific contest
-router.get('/:id', validateContestId, asyncErrorHandler(async (req, res) => {
-  const { id } = req.params;
-
-  if (!db) {
-    const error = new Error('Firebase service is not configured');
-    error.name = 'ServiceUnavailableError';
-    throw error;
-  }
-
-  try {
-    const contestValidation = await validateContestExists(id);
-    if (!contestValidation.exists) {
-      const error = new Error('Contest not found');
-      error.name = 'NotFoundError';
-      error.code = 'not-found';
+  };
+
+  const loadSeed = async (id, fairness, transaction) => {
+    const seed = await getContestSeed(id, transaction);
+
+    if (!seed || hashSeed(seed) !== fairness.seedHash) {
+      const error = new Error('Committed seed for this contest is missing or does not match its commitment');
+      error.code = 'fairness-seed-mismatch';
       throw error;
     }
 
-    res.json({
-      success: true,
-      contest: {
-        id: contestValidation.doc.id,
-        ...contestValidation.doc.data()
+    return seed;
+  };
+
+  // Commit to a seed for contests created before commitments existed
+  const ensureCommitment = async (id, contestData, transaction) => {
+    if (contestData.fairness) {
+      return { seed: await loadSeed(id, contestData.fairness, transaction), commitment: contestData.fairness };
+    }
+
+    const { seed, commitment } = createCommitment();
+    saveContestSeed(id, seed, transaction);
+    return { seed, commitment };
+  };
+
+  // Read, check and write a contest in one transaction so concurrent writes cannot overwrite each other
+  // The write is refused with 412 when the client's If-Match no longer matches the contest's version.
+  // buildUpdate receives the contest data and the transaction, throws to refuse the change
+  // and returns the fields to write; every write is recorded in the audit log
+  const runContestUpdate = (id, req, action, buildUpdate) => {
+    return runTransaction(async (transaction) => {
+      const doc = await getContest(id, transaction);
+      if (!doc.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
       }
+
+      assertIfMatch(req.get('If-Match'), doc);
+
+      const contestData = doc.data();
+      const update = await buildUpdate(contestData, transaction);
+
+      updateContest(id, update, transaction);
+      addAuditEntry(transaction, id, getAuditContext(req), action, contestData, update);
+
+      return update;
     });
-  } catch (error) {
-    // Handle Firebase-specific errors
-    const { statusCode, response } = handleFirebaseError(error, req, 'get_contest');
-    res.status(statusCode).json(response);
-  }
-}));
-
-// Update contest schema
-const updateContestSchema = Joi.object({
-  names: namesArraySchema
-});
-
-// PUT /contests/:id - Update a contest
-router.put('/:id', updateContestLimiter, validateContestId, validate(updateContestSchema), asyncErrorHandler(async (req, res) => {
-  const { id } = req.params;
-  const { names } = req.body;
-
-  if (!db) {
-    const error = new Error('Firebase service is not configured');
-    error.name = 'ServiceUnavailableError';
-    throw error;
-  }
-
-  try {
-    // Check if contest exists and validate status
-    const contestValidation = await validateContestExists(id);
-    if (!contestValidation.exists) {
-      const error = new Error('Contest not found');
-      error.name = 'NotFoundError';
-      error.code = 'not-found';
+  };
+
+  const validateStartContest = (contestData) => {
+    const validationErrors = [];
+    const squareCount = getSquareCount(contestData);
+
+    if (!contestData.eventId) {
+      validationErrors.push('eventId is missing');
+    }
+
+    if (!contestData.costPerSquare || typeof contestData.costPerSquare !== 'number' || contestData.costPerSquare <= 0) {
+      validationErrors.push('costPerSquare is missing or invalid');
+    }
+
+    if (!contestData.names || !Array.isArray(contestData.names)) {
+      validationErrors.push('names array is missing');
+    } else if (getUnsoldSquaresSettings(contestData).allowed) {
+      // Open squares stay unsold, but somebody has to be playing
+      if (contestData.names.length > squareCount) {
+        validationErrors.push(`names array cannot have more than ${squareCount} items (currently has ${contestData.names.length})`);
+      } else if (countOpenSquares(contestData.names, squareCount) === squareCount) {
+        validationErrors.push('At least one square must be sold');
+      }
+    } else if (contestData.names.length !== squareCount) {
+      validationErrors.push(`names array must have exactly ${squareCount} items (currently has ${contestData.names.length})`);
+    } else {
+      for (let i = 0; i < contestData.names.length; i++) {
+        if (typeof contestData.names[i] !== 'string' || contestData.names[i].trim() === '') {
+          validationErrors.push(`names[${i}] must be a non-empty string`);
+          break;
+        }
+      }
+    }
+
+    // Optionally refuse to start until everyone has paid for their squares
+    if (contestData.requirePaymentBeforeStart && validationErrors.length === 0) {
+      const { unpaidParticipants } = buildLedger(contestData);
+      if (unpaidParticipants.length > 0) {
+        validationErrors.push(`Payment outstanding for: ${unpaidParticipants.join(', ')}`);
+      }
+    }
+
+    return validationErrors;
+  };
+
+  const validateCompleteContest = (contestData) => {
+    const scores = contestData.scores || {};
+    const unscored = getPeriods(contestData).filter(period => !scores[period.key]);
+
+    if (unscored.length > 0) {
+      return [`Scores are missing for ${unscored.map(period => period.key).join(', ')}`];
+    }
+
+    return [];
+  };
+
+  // Transition schema - every status change can carry an optional reason
+  const transitionSchema = Joi.object({
+    reason: Joi.string()
+      .max(500)
+      .messages({
+        'string.base': 'reason must be a string',
+        'string.max': 'reason cannot exceed 500 characters'
+      })
+  });
+
+  // Create contest schema
+  const createContestSchema = Joi.object({
+    eventId: eventIdSchema,
+    costPerSquare: costPerSquareSchema,
+    gridSize: gridSizeSchema,
+    quarterPrizes: quarterPrizesSchema.optional(),
+    periods: periodsSchema,
+    prizePool: prizePoolSchema,
+    requirePaymentBeforeStart: requirePaymentBeforeStartSchema.default(false),
+    unsoldSquares: unsoldSquaresSchema.default(),
+    visibility: visibilitySchema.default(ContestVisibility.PUBLIC),
+    names: namesArraySchema.optional(),
+    // Settings not sent in the request are filled in from the template before validation
+    templateId: Joi.string()
+      .max(200)
+      .messages({
+        'string.max': 'templateId is too long'
+      })
+  })
+  // Contests use either the classic four quarters or their own scoring periods
+  .xor('quarterPrizes', 'periods')
+  .with('periods', 'prizePool')
+  .without('quarterPrizes', 'prizePool')
+  .custom(validatePeriodPrizes)
+  .messages({
+    ...periodPrizesMessages,
+    'object.missing': 'Either quarterPrizes or periods is required',
+    'object.xor': 'Provide either quarterPrizes or periods, not both',
+    'object.with': 'prizePool is required when periods are provided',
+    'object.without': 'prizePool can only be used with periods'
+  });
+
+  // Fill in the request from a saved template so the combined settings are validated together
+  const applyContestTemplate = asyncErrorHandler(async (req, res, next) => {
+    const { templateId } = req.body || {};
+    if (!templateId || !db) {
+      return next();
+    }
+
+    try {
+      const template = await getTemplate(String(templateId), req.user);
+      req.body = applyTemplate(template, req.body);
+      next();
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'create_contest');
+      res.status(statusCode).json(response);
+    }
+  });
+
+  // POST /contests - Create a new contest entry, optionally from a template; safe to retry with an Idempotency-Key
+  router.post('/', createContestLimiter, requireAuth, idempotent, applyContestTemplate, validate(createContestSchema), asyncErrorHandler(async (req, res) => {
+    const { 
+      eventId, 
+      costPerSquare, 
+      gridSize, 
+      quarterPrizes, 
+      periods, 
+      prizePool, 
+      requirePaymentBeforeStart, 
+      unsoldSquares, 
+      visibility, 
+      names, 
+      templateId 
+    } = req.body;
+
+    // Check if Firebase is available
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
       throw error;
     }
 
-    const contestData = contestValidation.doc.data();
-    const statusValidation = validateContestStatus(contestData.status);
-    if (!statusValidation.isValid) {
-      const error = new Error(statusValidation.error);
-      error.name = 'ValidationError';
-      error.details = { currentStatus: contestData.status };
+    try {
+      const squareCount = gridSize * gridSize;
+      if (names && names.length > squareCount) {
+        const error = new Error(`names cannot exceed ${squareCount} entries for this board`);
+        error.name = 'ValidationError';
+        error.details = { gridSize, namesCount: names.length };
+        throw error;
+      }
+
+      const contestData = await addContest({
+        eventId,
+        costPerSquare,
+        gridSize,
+        ...(quarterPrizes 
+          ? { quarterPrizes: resolveQuarterPrizes(costPerSquare, squareCount, quarterPrizes) } 
+          : resolvePeriodPrizes(costPerSquare, squareCount, periods, prizePool)),
+        requirePaymentBeforeStart,
+        unsoldSquares,
+        visibility,
+        ...(names && { names }),
+        ...(templateId && { templateId })
+      }, req, AuditActions.CONTEST_CREATED, templateId ? `Contest created from template ${templateId}` : 'Contest created');
+
+      res.status(201).json({
+        success: true,
+        message: 'Contest entry created successfully',
+        documentId: contestData.id,
+        data: contestData
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'create_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // POST /contests/join/:code - Join a contest with its invite code
+  router.post('/join/:code', updateContestLimiter, requireAuth, asyncErrorHandler(async (req, res) => {
+    const inviteCode = normalizeInviteCode(req.params.code);
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
       throw error;
     }
 
-    // Update contest with names array
-    const updateData = {
-      names: names,
-      updatedAt: new Date()
+    try {
+      if (!inviteCode) {
+        const error = new Error('Invite code is not valid');
+        error.name = 'ValidationError';
+        error.details = { code: req.params.code };
+        throw error;
+      }
+
+      const invitedContest = await findContestByInviteCode(inviteCode);
+      if (!invitedContest) {
+        const error = new Error('No contest uses this invite code');
+        error.name = 'NotFoundError';
+        error.code = 'invite-code-not-found';
+        throw error;
+      }
+
+      const { id } = invitedContest;
+      const { role, joined } = await runTransaction(async (transaction) => {
+        const doc = await getContest(id, transaction);
+        // The code may have been regenerated or revoked since it was looked up
+        if (!doc.exists || doc.data().inviteCode !== inviteCode) {
+          const error = new Error('No contest uses this invite code');
+          error.name = 'NotFoundError';
+          error.code = 'invite-code-not-found';
+          throw error;
+        }
+
+        const contestData = doc.data();
+        assertStatus(contestData, [
+          ContestStatus.NEW, 
+          ContestStatus.LOCKED, 
+          ContestStatus.ACTIVE, 
+          ContestStatus.IN_PROGRESS, 
+          ContestStatus.COMPLETED
+        ], 'joined');
+
+        const currentRole = getContestRole(contestData, req.user);
+        if (currentRole) {
+          return { role: currentRole, joined: false };
+        }
+
+        const update = {
+          participantIds: [...(contestData.participantIds || []), req.user.uid],
+          updatedAt: new Date()
+        };
+        updateContest(id, update, transaction);
+        addAuditEntry(transaction, id, getAuditContext(req), AuditActions.CONTEST_JOINED, contestData, update);
+
+        return { role: ContestRoles.PARTICIPANT, joined: true };
+      });
+
+      res.json({
+        success: true,
+        message: joined ? 'Joined contest successfully' : 'You are already in this contest',
+        data: {
+          id,
+          role,
+          joined
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'join_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // List contests query schema
+  const listContestsSchema = Joi.object({
+    status: Joi.string()
+      .valid(...Object.values(ContestStatus))
+      .messages({
+        'any.only': `status must be one of ${Object.values(ContestStatus).join(', ')}`
+      }),
+    eventId: eventIdSchema.optional(),
+    sortBy: Joi.string()
+      .valid('createdAt', 'updatedAt')
+      .default('createdAt')
+      .messages({
+        'any.only': 'sortBy must be either "createdAt" or "updatedAt"'
+      }),
+    order: Joi.string()
+      .valid('asc', 'desc')
+      .default('desc')
+      .messages({
+        'any.only': 'order must be either "asc" or "desc"'
+      }),
+    // Firestore requires range filters to be on the first sort field
+    createdFrom: Joi.date()
+      .iso()
+      .when('sortBy', { is: 'updatedAt', then: Joi.forbidden() })
+      .messages({
+        'date.format': 'createdFrom must be an ISO 8601 date',
+        'any.unknown': 'createdFrom can only be used when sorting by createdAt'
+      }),
+    createdTo: Joi.date()
+      .iso()
+      .when('sortBy', { is: 'updatedAt', then: Joi.forbidden() })
+      .when('createdFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('createdFrom')) })
+      .messages({
+        'date.format': 'createdTo must be an ISO 8601 date',
+        'date.min': 'createdTo must not be before createdFrom',
+        'any.unknown': 'createdTo can only be used when sorting by createdAt'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'limit must be a number',
+        'number.min': 'limit must be at least 1',
+        'number.max': 'limit cannot exceed 100'
+      }),
+    cursor: contestIdSchema.optional()
+  });
+
+  // GET /contests - List contests with filtering, sorting and cursor pagination
+  router.get('/', optionalAuth, validate(listContestsSchema, 'query'), asyncErrorHandler(async (req, res) => {
+    const { status, eventId, sortBy, order, createdFrom, createdTo, limit, cursor } = req.query;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const { docs, hasMore } = await listContests({ 
+        status, 
+        eventId, 
+        createdFrom, 
+        createdTo, 
+        sortBy, 
+        order, 
+        limit, 
+        cursor 
+      });
+
+      res.json({
+        success: true,
+        count: docs.length,
+        contests: docs.map(doc => ({
+          id: doc.id,
+          ...toVisibleContest(doc.data(), req.user)
+        })),
+        nextCursor: hasMore ? docs[docs.length - 1].id : null
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'list_contests');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Digit axes plus the digits carried by each row and column
+  const getBoardAxes = (contestData) => {
+    const { homeDigits, awayDigits } = getDigitAxes(contestData);
+    const gridSize = getGridSize(contestData);
+
+    return {
+      homeDigits,
+      awayDigits,
+      homeAxis: groupDigitAxis(homeDigits, gridSize),
+      awayAxis: groupDigitAxis(awayDigits, gridSize)
     };
+  };
 
-    await db.collection('contests').doc(id).update(updateData);
+  // GET /contests/:id - Get a specific contest
+  router.get('/:id', optionalAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
 
-    // Get updated document
-    const updatedDoc = await db.collection('contests').doc(id).get();
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
 
-    res.json({
-      success: true,
-      message: 'Contest updated successfully',
-      data: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
+    try {
+      const contestValidation = await validateContestExists(id);
+      if (!contestValidation.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
       }
-    });
-  } catch (error) {
-    // Handle Firebase-specific errors
-    const { statusCode, response } = handleFirebaseError(error, req, 'update_contest');
-    res.status(statusCode).json(response);
-  }
-}));
-
-// POST /contests/:id/start - Start a contest (validate all required fields)
-router.post('/:id/start', startContestLimiter, validateContestId, asyncErrorHandler(async (req, res) => {
-  const { id } = req.params;
-
-  if (!db) {
-    const error = new Error('Firebase service is not configured');
-    error.name = 'ServiceUnavailableError';
-    throw error;
-  }
-
-  try {
-    // Get the contest document
-    const contestValidation = await validateContestExists(id);
-    if (!contestValidation.exists) {
-      const error = new Error('Contest not found');
-      error.name = 'NotFoundError';
-      error.code = 'not-found';
+
+      const contestData = contestValidation.doc.data();
+
+      res.set('ETag', getETag(contestValidation.doc));
+      res.json({
+        success: true,
+        contest: {
+          id: contestValidation.doc.id,
+          ...toVisibleContest(contestData, req.user),
+          gridSize: getGridSize(contestData),
+          role: getContestRole(contestData, req.user),
+          // Digit axes are only drawn once the contest has started
+          ...(contestData.status !== ContestStatus.NEW && getBoardAxes(contestData))
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'get_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Update contest schema
+  const updateContestSchema = Joi.object({
+    names: namesArraySchema,
+    requirePaymentBeforeStart: requirePaymentBeforeStartSchema,
+    unsoldSquares: unsoldSquaresSchema,
+    visibility: visibilitySchema
+  })
+  .or('names', 'requirePaymentBeforeStart', 'unsoldSquares', 'visibility')
+  .messages({
+    'object.missing': 'At least one of names, requirePaymentBeforeStart, unsoldSquares or visibility is required'
+  });
+
+  // PUT /contests/:id - Update a contest
+  router.put('/:id', updateContestLimiter, requireAuth, validateContestId, validate(updateContestSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { names, requirePaymentBeforeStart, unsoldSquares, visibility } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
       throw error;
     }
 
-    const contestData = contestValidation.doc.data();
+    try {
+      await runContestUpdate(id, req, AuditActions.CONTEST_UPDATED, (contestData) => {
+        assertCanManage(contestData, req.user, 'update');
+        assertStatus(contestData, [ContestStatus.NEW], 'updated');
 
-    // Validate all required fields exist
-    const validationErrors = validateStartContest(contestData);
+        const squareCount = getSquareCount(contestData);
+        if (names && names.length > squareCount) {
+          const error = new Error(`names cannot exceed ${squareCount} entries for this board`);
+          error.name = 'ValidationError';
+          error.details = { gridSize: getGridSize(contestData), namesCount: names.length };
+          throw error;
+        }
 
-    // If there are validation errors, return them
-    if (validationErrors.length > 0) {
-      const error = new Error('Contest cannot start due to missing or invalid data');
-      error.name = 'ValidationError';
-      error.details = {
-        validationErrors,
-        contestData: {
-          id: contestValidation.doc.id,
-          eventId: contestData.eventId,
-          costPerSquare: contestData.costPerSquare,
-          namesCount: contestData.names ? contestData.names.length : 0,
-          status: contestData.status
+        // Update only the fields that were sent
+        return {
+          ...(names !== undefined && { names, squareOwners: keepUnchangedSquareOwners(contestData, names) }),
+          ...(requirePaymentBeforeStart !== undefined && { requirePaymentBeforeStart }),
+          ...(unsoldSquares !== undefined && { unsoldSquares }),
+          ...(visibility !== undefined && { visibility }),
+          updatedAt: new Date()
+        };
+      });
+
+      // Get updated document
+      const updatedDoc = await getContest(id);
+
+      if (names !== undefined) {
+        publishContestEvent(id, ContestEventTypes.NAMES_UPDATED, {
+          names,
+          openSquares: countOpenSquares(names, getSquareCount(updatedDoc.data()))
+        });
+      }
+
+      res.set('ETag', getETag(updatedDoc));
+      res.json({
+        success: true,
+        message: 'Contest updated successfully',
+        data: {
+          id: updatedDoc.id,
+          ...updatedDoc.data()
         }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'update_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Square claims only survive a names update for squares whose name did not change
+  const keepUnchangedSquareOwners = (contestData, names) => {
+    const previousNames = contestData.names || [];
+    return Object.fromEntries(Object.entries(contestData.squareOwners || {})
+      .filter(([index]) => names[index] === previousNames[index]));
+  };
+
+  // Claim or release a single square
+  // changeSquare receives the square's name and claimant plus whether the caller manages the contest,
+  // and returns the square's new name
+  const updateSquare = async (id, index, req, action, changeSquare) => {
+    const { user } = req;
+
+    const { names } = await runContestUpdate(id, req, action, (contestData) => {
+      assertCanViewParticipants(contestData, user);
+      assertStatus(contestData, [ContestStatus.NEW], 'updated');
+
+      const squareCount = getSquareCount(contestData);
+      if (index >= squareCount) {
+        const error = new Error(`Square index must be less than ${squareCount} for this board`);
+        error.name = 'ValidationError';
+        error.details = { squareIndex: index, gridSize: getGridSize(contestData) };
+        throw error;
+      }
+
+      const isManager = canManageContest(contestData, user);
+      const names = toSquares(contestData.names, squareCount);
+      const squareOwners = { ...contestData.squareOwners };
+      names[index] = changeSquare({ name: names[index], ownerId: squareOwners[index] || null }, isManager);
+
+      // Squares claimed by participants remember who claimed them so only they can release them
+      if (isSquareOpen(names[index]) || isManager) {
+        delete squareOwners[index];
+      } else {
+        squareOwners[index] = user.uid;
+      }
+
+      const participantIds = contestData.participantIds || [];
+
+      return {
+        names,
+        squareOwners,
+        ...(!isManager && !participantIds.includes(user.uid) && { participantIds: [...participantIds, user.uid] }),
+        updatedAt: new Date()
       };
+    });
+
+    return names;
+  };
+
+  // Claim square schema
+  const claimSquareSchema = Joi.object({
+    name: nameSchema
+  });
+
+  // PUT /contests/:id/squares/:index - Claim a single square
+  router.put('/:id/squares/:index', updateContestLimiter, requireAuth, validateContestId, validateSquareIndex, validate(claimSquareSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const index = Number(req.params.index);
+    const { name } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const names = await updateSquare(id, index, req, AuditActions.SQUARE_CLAIMED, (square) => {
+        if (!isSquareOpen(square.name)) {
+          const error = new Error(`Square ${index} is already claimed`);
+          error.name = 'ConflictError';
+          error.code = 'square-taken';
+          error.details = { squareIndex: index, claimedBy: square.name };
+          throw error;
+        }
+        return name;
+      });
+      const openSquares = countOpenSquares(names, names.length);
+
+      publishContestEvent(id, ContestEventTypes.SQUARE_CLAIMED, { squareIndex: index, name, openSquares });
+
+      res.json({
+        success: true,
+        message: `Square ${index} claimed successfully`,
+        data: {
+          id,
+          squareIndex: index,
+          name,
+          openSquares
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'claim_square');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // DELETE /contests/:id/squares/:index - Release a claimed square
+  router.delete('/:id/squares/:index', updateContestLimiter, requireAuth, validateContestId, validateSquareIndex, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const index = Number(req.params.index);
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
       throw error;
     }
 
-    // Shuffle the names array randomly using Fisher-Yates algorithm for uniform distribution
-    const shuffledNames = [...contestData.names];
-    for (let i = shuffledNames.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffledNames[i], shuffledNames[j]] = [shuffledNames[j], shuffledNames[i]];
+    try {
+      let releasedName = null;
+      const names = await updateSquare(id, index, req, AuditActions.SQUARE_RELEASED, (square, isManager) => {
+        if (isSquareOpen(square.name)) {
+          const error = new Error(`Square ${index} is not claimed`);
+          error.name = 'ConflictError';
+          error.code = 'square-open';
+          error.details = { squareIndex: index };
+          throw error;
+        }
+        if (!isManager && square.ownerId !== req.user.uid) {
+          const error = new Error('Participants can only release squares they claimed');
+          error.name = 'ForbiddenError';
+          error.code = 'not-square-owner';
+          error.details = { squareIndex: index };
+          throw error;
+        }
+        releasedName = square.name;
+        return null;
+      });
+      const openSquares = countOpenSquares(names, names.length);
+
+      publishContestEvent(id, ContestEventTypes.SQUARE_RELEASED, { squareIndex: index, releasedName, openSquares });
+
+      res.json({
+        success: true,
+        message: `Square ${index} released successfully`,
+        data: {
+          id,
+          squareIndex: index,
+          releasedName,
+          openSquares
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'release_square');
+      res.status(statusCode).json(response);
     }
+  }));
+
+  // GET /contests/:id/ledger - Get what each participant owes and has paid
+  router.get('/:id/ledger', requireAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const contestValidation = await validateContestExists(id);
+      if (!contestValidation.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      const contestData = contestValidation.doc.data();
+      assertCanManage(contestData, req.user, 'view the ledger of');
+
+      res.json({
+        success: true,
+        ledger: {
+          id,
+          ...buildLedger(contestData)
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'get_ledger');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Record payment schema
+  const recordPaymentSchema = Joi.object({
+    participant: nameSchema,
+    amount: Joi.number()
+      .required()
+      .positive()
+      .max(100000)
+      .precision(2)
+      .messages({
+        'number.base': 'amount must be a number',
+        'number.positive': 'amount must be a positive number',
+        'number.max': 'amount cannot exceed $100,000',
+        'any.required': 'amount is required'
+      }),
+    method: Joi.string()
+      .required()
+      .valid(...PAYMENT_METHODS)
+      .messages({
+        'any.only': `method must be one of ${PAYMENT_METHODS.join(', ')}`,
+        'any.required': 'method is required'
+      }),
+    paidAt: Joi.date()
+      .iso()
+      .messages({
+        'date.format': 'paidAt must be an ISO 8601 date'
+      }),
+    note: Joi.string()
+      .max(200)
+      .messages({
+        'string.max': 'note cannot exceed 200 characters'
+      })
+  });
+
+  // POST /contests/:id/ledger/payments - Record a payment received from a participant
+  router.post('/:id/ledger/payments', updateContestLimiter, requireAuth, validateContestId, validate(recordPaymentSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { participant, amount, method, paidAt = new Date(), note } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      let payment = null;
+      let ledger = null;
+
+      await runContestUpdate(id, req, AuditActions.PAYMENT_RECORDED, (contestData) => {
+        assertCanManage(contestData, req.user, 'record payments for');
+        assertStatus(contestData, [
+          ContestStatus.NEW, 
+          ContestStatus.LOCKED, 
+          ContestStatus.ACTIVE, 
+          ContestStatus.IN_PROGRESS, 
+          ContestStatus.COMPLETED
+        ], 'paid');
+
+        const { participants } = buildLedger(contestData);
+        if (!participants.some(entry => entry.name === participant)) {
+          const error = new Error(`${participant} does not hold any squares in this contest`);
+          error.name = 'ValidationError';
+          error.details = { participant };
+          throw error;
+        }
 
-    // Update contest status to 'active' with shuffled names
-    await db.collection('contests').doc(id).update({
-      status: 'active',
-      names: shuffledNames,
-      updatedAt: new Date()
+        payment = {
+          id: crypto.randomUUID(),
+          participant,
+          amount,
+          method,
+          paidAt,
+          ...(note && { note }),
+          recordedAt: new Date()
+        };
+        const payments = [...(contestData.payments || []), payment];
+        ledger = buildLedger({ ...contestData, payments });
+
+        return {
+          payments,
+          updatedAt: new Date()
+        };
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: {
+          payment,
+          ledger: {
+            id,
+            ...ledger
+          }
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'record_payment');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // POST /contests/:id/start - Start a contest (validate all required fields); safe to retry with an Idempotency-Key
+  router.post('/:id/start', startContestLimiter, requireAuth, validateContestId, idempotent, validate(transitionSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason = 'Contest started' } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      let previousStatus = null;
+
+      await runContestUpdate(id, req, AuditActions.CONTEST_STARTED, async (contestData, transaction) => {
+        assertCanManage(contestData, req.user, 'start');
+        assertTransition(contestData, ContestStatus.ACTIVE);
+        previousStatus = contestData.status;
+
+        // Validate all required fields exist
+        const validationErrors = validateStartContest(contestData);
+
+        // If there are validation errors, return them
+        if (validationErrors.length > 0) {
+          const error = new Error('Contest cannot start due to missing or invalid data');
+          error.name = 'ValidationError';
+          error.details = {
+            validationErrors,
+            contestData: {
+              id,
+              eventId: contestData.eventId,
+              costPerSquare: contestData.costPerSquare,
+              namesCount: contestData.names ? contestData.names.length : 0,
+              status: contestData.status
+            }
+          };
+          throw error;
+        }
+
+        // Draw the board from the committed seed and reveal it so anyone can verify the draw
+        // Open squares are kept as null so they land somewhere on the board as unsold
+        const { seed, commitment } = await ensureCommitment(id, contestData, transaction);
+        const originalNames = toSquares(contestData.names, getSquareCount(contestData));
+        const board = drawBoard(seed, originalNames);
+
+        deleteContestSeed(id, transaction);
+
+        return {
+          ...buildTransitionUpdate(contestData, ContestStatus.ACTIVE, reason),
+          ...board,
+          unsoldSquareIndexes: board.names
+            .map((name, index) => (isSquareOpen(name) ? index : null))
+            .filter(index => index !== null),
+          originalNames,
+          fairness: {
+            ...commitment,
+            seed,
+            revealedAt: new Date()
+          }
+        };
+      });
+
+      // Get updated document
+      const updatedDoc = await getContest(id);
+      const startedContest = updatedDoc.data();
+
+      publishContestEvent(id, ContestEventTypes.STATUS_CHANGED, {
+        from: previousStatus,
+        to: ContestStatus.ACTIVE,
+        reason
+      });
+      publishContestEvent(id, ContestEventTypes.CONTEST_STARTED, {
+        gridSize: getGridSize(startedContest),
+        names: startedContest.names,
+        unsoldSquareIndexes: startedContest.unsoldSquareIndexes,
+        ...getBoardAxes(startedContest),
+        fairness: startedContest.fairness
+      });
+
+      res.set('ETag', getETag(updatedDoc));
+      res.json({
+        success: true,
+        message: 'Contest has started successfully',
+        data: {
+          id: updatedDoc.id,
+          ...startedContest
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'start_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Record score schema
+  // The period key is checked against the contest's own periods once it is loaded;
+  // quarter is kept as an alias for clients written against four-quarter contests
+  const periodKeySchema = Joi.string()
+    .max(30)
+    .messages({
+      'string.base': 'period must be a string',
+      'string.empty': 'period cannot be empty',
+      'string.max': 'period cannot exceed 30 characters'
     });
 
-    // Get updated document
-    const updatedDoc = await db.collection('contests').doc(id).get();
+  const recordScoreSchema = Joi.object({
+    period: periodKeySchema,
+    quarter: periodKeySchema,
+    home: scoreSchema,
+    away: scoreSchema
+  })
+  .xor('period', 'quarter')
+  .messages({
+    'object.missing': 'period is required',
+    'object.xor': 'Provide either period or quarter, not both'
+  });
+
+  // POST /contests/:id/scores - Record a period score and compute the winners
+  router.post('/:id/scores', updateContestLimiter, requireAuth, validateContestId, validate(recordScoreSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { home, away } = req.body;
+    const periodKey = req.body.period || req.body.quarter;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const { period, ...result } = await recordScore(id, { periodKey, home, away }, { 
+        user: req.user, 
+        auditContext: getAuditContext(req), 
+        ifMatch: req.get('If-Match') 
+      });
+
+      res.json({
+        success: true,
+        message: `Score recorded for ${period.name}`,
+        data: {
+          id,
+          ...result
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'record_score');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Create a handler that moves a contest to another status and records the transition
+  const createTransitionHandler = (targetStatus, operation, defaultReason, options = {}) => {
+    const { 
+      validateTransition = () => [], 
+      prepareTransition = async () => ({}) 
+    } = options;
+
+    return asyncErrorHandler(async (req, res) => {
+      const { id } = req.params;
+      const { reason = defaultReason } = req.body;
+
+      if (!db) {
+        const error = new Error('Firebase service is not configured');
+        error.name = 'ServiceUnavailableError';
+        throw error;
+      }
+
+      try {
+        let previousStatus = null;
+
+        await runContestUpdate(id, req, AuditActions.STATUS_CHANGED, async (contestData, transaction) => {
+          assertCanManage(contestData, req.user, 'change the status of');
+          assertTransition(contestData, targetStatus);
+          previousStatus = contestData.status;
+
+          const validationErrors = validateTransition(contestData);
+          if (validationErrors.length > 0) {
+            const error = new Error(`Contest cannot move to '${targetStatus}' due to missing or invalid data`);
+            error.name = 'ValidationError';
+            error.details = { validationErrors, currentStatus: contestData.status };
+            throw error;
+          }
+
+          return {
+            ...buildTransitionUpdate(contestData, targetStatus, reason),
+            ...await prepareTransition(id, contestData, transaction)
+          };
+        });
+
+        // Get updated document
+        const updatedDoc = await getContest(id);
+
+        publishContestEvent(id, ContestEventTypes.STATUS_CHANGED, {
+          from: previousStatus,
+          to: targetStatus,
+          reason
+        });
 
-    res.json({
-      success: true,
-      message: 'Contest has started successfully',
-      data: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
+        res.set('ETag', getETag(updatedDoc));
+        res.json({
+          success: true,
+          message: `Contest moved to '${targetStatus}' successfully`,
+          data: {
+            id: updatedDoc.id,
+            ...updatedDoc.data()
+          }
+        });
+      } catch (error) {
+        // Handle Firebase-specific errors
+        const { statusCode, response } = handleFirebaseError(error, req, operation);
+        res.status(statusCode).json(response);
       }
     });
-  } catch (error) {
-    // Handle Firebase-specific errors
-    const { statusCode, response } = handleFirebaseError(error, req, 'start_contest');
-    res.status(statusCode).json(response);
-  }
-}));
-
-module.exports = router;
+  };
+
+  // POST /contests/:id/lock - Lock the board so names can no longer change
+  router.post('/:id/lock', updateContestLimiter, requireAuth, validateContestId, validate(transitionSchema),
+    createTransitionHandler(ContestStatus.LOCKED, 'lock_contest', 'Contest locked', {
+      prepareTransition: async (id, contestData, transaction) => {
+        const { commitment } = await ensureCommitment(id, contestData, transaction);
+        return { fairness: commitment };
+      }
+    }));
+
+  // POST /contests/:id/unlock - Reopen a locked board for name changes
+  router.post('/:id/unlock', updateContestLimiter, requireAuth, validateContestId, validate(transitionSchema),
+    createTransitionHandler(ContestStatus.NEW, 'unlock_contest', 'Contest unlocked'));
+
+  // POST /contests/:id/begin - Mark the game as under way
+  router.post('/:id/begin', updateContestLimiter, requireAuth, validateContestId, validate(transitionSchema),
+    createTransitionHandler(ContestStatus.IN_PROGRESS, 'begin_contest', 'Game started'));
+
+  // POST /contests/:id/complete - Finish a contest once every quarter is scored
+  router.post('/:id/complete', updateContestLimiter, requireAuth, validateContestId, validate(transitionSchema),
+    createTransitionHandler(ContestStatus.COMPLETED, 'complete_contest', 'Contest completed', {
+      validateTransition: validateCompleteContest
+    }));
+
+  // Cancel contest schema - cancelling always needs a reason
+  const cancelContestSchema = Joi.object({
+    reason: Joi.string()
+      .required()
+      .min(1)
+      .max(500)
+      .messages({
+        'string.empty': 'reason cannot be empty',
+        'string.max': 'reason cannot exceed 500 characters',
+        'any.required': 'reason is required to cancel a contest'
+      })
+  });
+
+  // POST /contests/:id/cancel - Abandon a contest that has not completed and report refunds
+  router.post('/:id/cancel', updateContestLimiter, requireAuth, validateContestId, validate(cancelContestSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const { cancellation } = await runContestUpdate(id, req, AuditActions.CONTEST_CANCELLED, (contestData) => {
+        assertCanManage(contestData, req.user, 'cancel');
+        assertTransition(contestData, ContestStatus.CANCELLED);
+
+        return {
+          ...buildTransitionUpdate(contestData, ContestStatus.CANCELLED, reason),
+          cancellation: {
+            reason,
+            previousStatus: contestData.status,
+            cancelledAt: new Date(),
+            ...buildRefundReport(contestData)
+          }
+        };
+      });
+
+      publishContestEvent(id, ContestEventTypes.STATUS_CHANGED, {
+        from: cancellation.previousStatus,
+        to: ContestStatus.CANCELLED,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Contest cancelled successfully',
+        data: {
+          id,
+          status: ContestStatus.CANCELLED,
+          cancellation
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'cancel_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Co-admin schema
+  const userIdSchema = Joi.string()
+    .required()
+    .min(1)
+    .max(128)
+    .messages({
+      'string.empty': 'uid cannot be empty',
+      'string.max': 'uid cannot exceed 128 characters',
+      'any.required': 'uid is required'
+    });
+
+  const coAdminSchema = Joi.object({
+    uid: userIdSchema
+  });
+
+  // Change a contest's co-admins; only the owner may do this
+  const updateCoAdmins = async (id, req, action, changeCoAdmins) => {
+    const { coAdminIds } = await runContestUpdate(id, req, action, (contestData) => {
+      assertContestRole(contestData, req.user, [ContestRoles.OWNER], 'manage co-admins of');
+
+      return {
+        coAdminIds: changeCoAdmins(contestData.coAdminIds || [], contestData),
+        updatedAt: new Date()
+      };
+    });
+
+    return coAdminIds;
+  };
+
+  // POST /contests/:id/co-admins - Let another user manage the contest
+  router.post('/:id/co-admins', updateContestLimiter, requireAuth, validateContestId, validate(coAdminSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { uid } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const coAdminIds = await updateCoAdmins(id, req, AuditActions.CO_ADMIN_ADDED, (currentCoAdminIds, contestData) => {
+        if (uid === contestData.ownerId || currentCoAdminIds.includes(uid)) {
+          const error = new Error('User already manages this contest');
+          error.name = 'ConflictError';
+          error.code = 'already-co-admin';
+          error.details = { uid };
+          throw error;
+        }
+        return [...currentCoAdminIds, uid];
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Co-admin added successfully',
+        data: {
+          id,
+          coAdminIds
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'add_co_admin');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // DELETE /contests/:id/co-admins/:uid - Stop a user from managing the contest
+  router.delete('/:id/co-admins/:uid', updateContestLimiter, requireAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id, uid } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const coAdminIds = await updateCoAdmins(id, req, AuditActions.CO_ADMIN_REMOVED, (currentCoAdminIds) => {
+        if (!currentCoAdminIds.includes(uid)) {
+          const error = new Error('User is not a co-admin of this contest');
+          error.name = 'NotFoundError';
+          error.details = { uid };
+          throw error;
+        }
+        return currentCoAdminIds.filter(coAdminId => coAdminId !== uid);
+      });
+
+      res.json({
+        success: true,
+        message: 'Co-admin removed successfully',
+        data: {
+          id,
+          coAdminIds
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'remove_co_admin');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // Clone contest schema
+  const cloneContestSchema = Joi.object({
+    eventId: eventIdSchema.optional(),
+    keepNames: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'keepNames must be true or false'
+      })
+  });
+
+  // POST /contests/:id/clone - Create a new contest with the same settings as an existing one
+  router.post('/:id/clone', createContestLimiter, requireAuth, validateContestId, validate(cloneContestSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { eventId, keepNames } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const contestValidation = await validateContestExists(id);
+      if (!contestValidation.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      const source = contestValidation.doc.data();
+      assertCanManage(source, req.user, 'clone');
+
+      // Names are shuffled onto the board when a contest starts, so copy them in the order they were entered
+      const names = source.originalNames || source.names;
+
+      const contestData = await addContest({
+        eventId: eventId || source.eventId,
+        costPerSquare: source.costPerSquare,
+        gridSize: getGridSize(source),
+        ...(source.periods 
+          ? { periods: source.periods, prizePool: source.prizePool } 
+          : { quarterPrizes: source.quarterPrizes }),
+        requirePaymentBeforeStart: Boolean(source.requirePaymentBeforeStart),
+        unsoldSquares: getUnsoldSquaresSettings(source),
+        visibility: source.visibility || ContestVisibility.PUBLIC,
+        ...(keepNames && names && { names }),
+        clonedFrom: id
+      }, req, AuditActions.CONTEST_CLONED, `Contest cloned from ${id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Contest cloned successfully',
+        documentId: contestData.id,
+        data: contestData
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'clone_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // POST /contests/:id/invite-code - Generate a new invite code, replacing the current one
+  router.post('/:id/invite-code', updateContestLimiter, requireAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const { inviteCode } = await runContestUpdate(id, req, AuditActions.INVITE_CODE_REGENERATED, async (contestData, transaction) => {
+        assertCanManage(contestData, req.user, 'invite players to');
+
+        const newInviteCode = await findUnusedInviteCode(transaction);
+        if (contestData.inviteCode) {
+          releaseInviteCode(contestData.inviteCode, transaction);
+        }
+        reserveInviteCode(newInviteCode, id, transaction);
+
+        return {
+          inviteCode: newInviteCode,
+          updatedAt: new Date()
+        };
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Invite code generated successfully',
+        data: {
+          id,
+          inviteCode
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'regenerate_invite_code');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // DELETE /contests/:id/invite-code - Revoke the invite code so nobody else can join with it
+  router.delete('/:id/invite-code', updateContestLimiter, requireAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      await runContestUpdate(id, req, AuditActions.INVITE_CODE_REVOKED, (contestData, transaction) => {
+        assertCanManage(contestData, req.user, 'invite players to');
+
+        if (!contestData.inviteCode) {
+          const error = new Error('Contest does not have an invite code');
+          error.name = 'NotFoundError';
+          throw error;
+        }
+        releaseInviteCode(contestData.inviteCode, transaction);
+
+        return {
+          inviteCode: null,
+          updatedAt: new Date()
+        };
+      });
+
+      res.json({
+        success: true,
+        message: 'Invite code revoked successfully',
+        data: {
+          id,
+          inviteCode: null
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'revoke_invite_code');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // List audit entries query schema
+  const listAuditSchema = Joi.object({
+    action: Joi.string()
+      .valid(...Object.values(AuditActions))
+      .messages({
+        'any.only': `action must be one of ${Object.values(AuditActions).join(', ')}`
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'limit must be a number',
+        'number.min': 'limit must be at least 1',
+        'number.max': 'limit cannot exceed 100'
+      }),
+    cursor: Joi.string()
+      .max(200)
+      .messages({
+        'string.max': 'cursor is too long'
+      })
+  });
+
+  // GET /contests/:id/audit - List who changed what in a contest, newest first
+  router.get('/:id/audit', requireAuth, validateContestId, validate(listAuditSchema, 'query'), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { action, limit, cursor } = req.query;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const contestValidation = await validateContestExists(id);
+      if (!contestValidation.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      assertCanManage(contestValidation.doc.data(), req.user, 'view the audit log of');
+
+      let query = getAuditCollection(id);
+      if (action) {
+        query = query.where('action', '==', action);
+      }
+      query = query.orderBy('createdAt', 'desc');
+
+      if (cursor) {
+        const cursorDoc = await getAuditCollection(id).doc(cursor).get();
+        if (!cursorDoc.exists) {
+          const error = new Error('Invalid pagination cursor');
+          error.name = 'ValidationError';
+          error.details = { cursor };
+          throw error;
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // Fetch one extra document to know whether another page exists
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const hasMore = snapshot.docs.length > limit;
+
+      res.json({
+        success: true,
+        count: docs.length,
+        entries: docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })),
+        nextCursor: hasMore ? docs[docs.length - 1].id : null
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'list_contest_audit');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // GET /contests/:id/events - Stream live contest updates as Server-Sent Events
+  router.get('/:id/events', optionalAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const contestValidation = await validateContestExists(id);
+      if (!contestValidation.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      assertCanViewParticipants(contestValidation.doc.data(), req.user);
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'stream_contest_events');
+      return res.status(statusCode).json(response);
+    }
+
+    openEventStream(req, res, id);
+  }));
+
+  // GET /contests/:id/verify - Recompute the board from the revealed seed
+  router.get('/:id/verify', optionalAuth, validateContestId, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const contestValidation = await validateContestExists(id);
+      if (!contestValidation.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      const contestData = contestValidation.doc.data();
+      assertCanViewParticipants(contestData, req.user);
+
+      if (!contestData.fairness || !contestData.fairness.seed) {
+        const error = new Error('The seed for this contest has not been revealed yet');
+        error.name = 'ConflictError';
+        error.code = 'fairness-not-revealed';
+        error.details = { currentStatus: contestData.status };
+        throw error;
+      }
+
+      const { verified, checks, recomputed } = verifyBoard(contestData);
+
+      res.json({
+        success: true,
+        verified,
+        fairness: contestData.fairness,
+        checks,
+        originalNames: contestData.originalNames,
+        recomputed
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'verify_contest');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  return router;
+};
+
+module.exports = createContestsRouter;
@@ -0,0 +1,282 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  validate,
+  costPerSquareSchema,
+  gridSizeSchema,
+  namesArraySchema,
+  quarterPrizesSchema,
+  periodsSchema,
+  prizePoolSchema,
+  validatePeriodPrizes,
+  periodPrizesMessages,
+  unsoldSquaresSchema,
+  requirePaymentBeforeStartSchema,
+  visibilitySchema
+} = require('../middleware/validation');
+const {
+  createContestLimiter,
+  updateContestLimiter
+} = require('../middleware/rateLimit');
+const {
+  asyncErrorHandler,
+  handleFirebaseError
+} = require('../utils/errorHandler');
+const { ContestVisibility } = require('../utils/contestRoles');
+const { resolveQuarterPrizes, resolvePeriodPrizes } = require('../utils/payouts');
+
+// Create the templates router with the database, template service and middleware it uses
+const createTemplatesRouter = ({ db, templates, requireAuth }) => {
+  const { getTemplate } = templates;
+  const router = express.Router();
+
+  // Template schema - the settings of a contest without its event
+  const templateSchema = Joi.object({
+    name: Joi.string()
+      .required()
+      .min(1)
+      .max(100)
+      .messages({
+        'string.empty': 'name cannot be empty',
+        'string.max': 'name cannot exceed 100 characters',
+        'any.required': 'name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .default('')
+      .messages({
+        'string.max': 'description cannot exceed 500 characters'
+      }),
+    costPerSquare: costPerSquareSchema,
+    gridSize: gridSizeSchema,
+    quarterPrizes: quarterPrizesSchema.optional(),
+    periods: periodsSchema,
+    prizePool: prizePoolSchema,
+    requirePaymentBeforeStart: requirePaymentBeforeStartSchema.default(false),
+    unsoldSquares: unsoldSquaresSchema.default(),
+    visibility: visibilitySchema.default(ContestVisibility.PUBLIC),
+    names: namesArraySchema.optional()
+  })
+  .xor('quarterPrizes', 'periods')
+  .with('periods', 'prizePool')
+  .without('quarterPrizes', 'prizePool')
+  .custom(validatePeriodPrizes)
+  .messages({
+    ...periodPrizesMessages,
+    'object.missing': 'Either quarterPrizes or periods is required',
+    'object.xor': 'Provide either quarterPrizes or periods, not both',
+    'object.with': 'prizePool is required when periods are provided',
+    'object.without': 'prizePool can only be used with periods'
+  });
+
+  const listTemplatesSchema = Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'limit must be a number',
+        'number.min': 'limit must be at least 1',
+        'number.max': 'limit cannot exceed 100'
+      }),
+    cursor: Joi.string()
+      .max(200)
+      .messages({
+        'string.max': 'cursor is too long'
+      })
+  });
+
+  // Resolve the prizes once so a template that could never create a contest is rejected when it is saved
+  const validateTemplateSettings = ({ costPerSquare, gridSize, quarterPrizes, periods, prizePool, names }) => {
+    const squareCount = gridSize * gridSize;
+
+    if (names && names.length > squareCount) {
+      const error = new Error(`names cannot exceed ${squareCount} entries for this board`);
+      error.name = 'ValidationError';
+      error.details = { gridSize, namesCount: names.length };
+      throw error;
+    }
+
+    if (quarterPrizes) {
+      resolveQuarterPrizes(costPerSquare, squareCount, quarterPrizes);
+    } else {
+      resolvePeriodPrizes(costPerSquare, squareCount, periods, prizePool);
+    }
+  };
+
+  // POST /templates - Save contest settings as a template
+  router.post('/', createContestLimiter, requireAuth, validate(templateSchema), asyncErrorHandler(async (req, res) => {
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      validateTemplateSettings(req.body);
+
+      const templateData = {
+        ...req.body,
+        ownerId: req.user.uid,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const docRef = await db.collection('templates').add(templateData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: {
+          ...templateData,
+          id: docRef.id
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'create_template');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // GET /templates - List the caller's templates, newest first
+  router.get('/', requireAuth, validate(listTemplatesSchema, 'query'), asyncErrorHandler(async (req, res) => {
+    const { limit, cursor } = req.query;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      let query = db.collection('templates')
+        .where('ownerId', '==', req.user.uid)
+        .orderBy('createdAt', 'desc');
+
+      if (cursor) {
+        const cursorDoc = await db.collection('templates').doc(cursor).get();
+        if (!cursorDoc.exists) {
+          const error = new Error('Invalid pagination cursor');
+          error.name = 'ValidationError';
+          error.details = { cursor };
+          throw error;
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      // Fetch one extra document to know whether another page exists
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const hasMore = snapshot.docs.length > limit;
+
+      res.json({
+        success: true,
+        count: docs.length,
+        templates: docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })),
+        nextCursor: hasMore ? docs[docs.length - 1].id : null
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'list_templates');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // GET /templates/:id - Get a template
+  router.get('/:id', requireAuth, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const template = await getTemplate(id, req.user);
+
+      res.json({
+        success: true,
+        template
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'get_template');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // PUT /templates/:id - Replace a template's settings
+  router.put('/:id', updateContestLimiter, requireAuth, validate(templateSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const { ownerId, createdAt } = await getTemplate(id, req.user);
+      validateTemplateSettings(req.body);
+
+      // set() rather than update() so settings left out of the request are removed
+      const templateData = {
+        ...req.body,
+        ownerId,
+        createdAt,
+        updatedAt: new Date()
+      };
+      await db.collection('templates').doc(id).set(templateData);
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: {
+          ...templateData,
+          id
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'update_template');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // DELETE /templates/:id - Delete a template; contests created from it are unaffected
+  router.delete('/:id', updateContestLimiter, requireAuth, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      await getTemplate(id, req.user);
+      await db.collection('templates').doc(id).delete();
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully',
+        data: { id }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'delete_template');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  return router;
+};
+
+module.exports = createTemplatesRouter;
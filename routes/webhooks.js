@@ -0,0 +1,452 @@
+const express = require('express');
+const Joi = require('joi');
+const {
+  validate,
+  contestIdSchema
+} = require('../middleware/validation');
+const {
+  createContestLimiter,
+  updateContestLimiter
+} = require('../middleware/rateLimit');
+const {
+  asyncErrorHandler,
+  handleFirebaseError
+} = require('../utils/errorHandler');
+const { canManageContest, assertCanManage } = require('../utils/contestRoles');
+const { assertPublicUrl } = require('../utils/publicUrls');
+const {
+  WEBHOOK_EVENT_TYPES,
+  DeliveryStatus,
+  AttemptTriggers,
+  generateWebhookSecret,
+  toDeliveryResponse
+} = require('../services/webhooks');
+
+// Create the webhooks router with the configuration, storage, webhook service and middleware it uses
+const createWebhooksRouter = ({ config, db, contests, webhooks, requireAuth }) => {
+  const { getContest } = contests;
+  const { attemptDelivery } = webhooks;
+  const router = express.Router();
+
+  // The signing secret is only returned when a webhook is created
+  const toPublicWebhook = (doc) => {
+    const { secret, ...webhook } = doc.data();
+    return {
+      id: doc.id,
+      ...webhook
+    };
+  };
+
+  // Webhook URLs must not reach loopback, private or link-local addresses, which would expose the internal network
+  const assertWebhookTarget = async (url) => {
+    if (!config.WEBHOOK_ALLOW_PRIVATE_TARGETS) {
+      await assertPublicUrl(url);
+    }
+  };
+
+  const getWebhook = async (id) => {
+    const doc = await db.collection('webhooks').doc(id).get();
+    if (!doc.exists) {
+      const error = new Error('Webhook not found');
+      error.name = 'NotFoundError';
+      error.code = 'not-found';
+      throw error;
+    }
+    return doc;
+  };
+
+  const getContestData = async (contestId) => {
+    const doc = await getContest(contestId);
+    if (!doc.exists) {
+      const error = new Error('Contest not found');
+      error.name = 'NotFoundError';
+      error.code = 'not-found';
+      throw error;
+    }
+    return doc.data();
+  };
+
+  // Webhooks for a contest are managed by the contest's owner and co-admins;
+  // webhooks for all contests only by the user who registered them
+  const assertWebhookAccess = async (webhookDoc, user) => {
+    const webhook = webhookDoc.data();
+    if (webhook.createdBy === user.uid) {
+      return;
+    }
+
+    if (webhook.contestId) {
+      const contestDoc = await getContest(webhook.contestId);
+      if (contestDoc.exists && canManageContest(contestDoc.data(), user)) {
+        return;
+      }
+    }
+
+    const error = new Error('You do not have access to this webhook');
+    error.name = 'ForbiddenError';
+    error.code = 'webhook-access-denied';
+    throw error;
+  };
+
+  // Webhook schemas
+  // Production receivers must use HTTPS so signed payloads are not sent in the clear
+  const webhookUrlSchema = Joi.string()
+    .uri({ scheme: config.isProduction ? ['https'] : ['http', 'https'] })
+    .max(2000)
+    .messages({
+      'string.uri': 'url must be a valid URL',
+      'string.uriCustomScheme': `url must use ${config.isProduction ? 'https' : 'http or https'}`,
+      'string.max': 'url cannot exceed 2000 characters'
+    });
+
+  const webhookEventsSchema = Joi.array()
+    .items(Joi.string().valid(...WEBHOOK_EVENT_TYPES))
+    .min(1)
+    .unique()
+    .messages({
+      'array.base': 'events must be an array',
+      'array.min': 'At least one event type is required',
+      'array.unique': 'events cannot contain duplicates',
+      'any.only': `events must be any of ${WEBHOOK_EVENT_TYPES.join(', ')}`
+    });
+
+  const webhookDescriptionSchema = Joi.string()
+    .max(200)
+    .allow('')
+    .messages({
+      'string.max': 'description cannot exceed 200 characters'
+    });
+
+  const webhookActiveSchema = Joi.boolean()
+    .messages({
+      'boolean.base': 'active must be true or false'
+    });
+
+  const paginationSchema = {
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.base': 'limit must be a number',
+        'number.min': 'limit must be at least 1',
+        'number.max': 'limit cannot exceed 100'
+      }),
+    cursor: Joi.string()
+      .max(200)
+      .messages({
+        'string.max': 'cursor is too long'
+      })
+  };
+
+  const createWebhookSchema = Joi.object({
+    url: webhookUrlSchema.required(),
+    // Without a contestId the webhook receives events for every contest the caller manages
+    contestId: contestIdSchema.optional(),
+    events: webhookEventsSchema.required(),
+    description: webhookDescriptionSchema,
+    active: webhookActiveSchema.default(true)
+  });
+
+  const updateWebhookSchema = Joi.object({
+    url: webhookUrlSchema,
+    events: webhookEventsSchema,
+    description: webhookDescriptionSchema,
+    active: webhookActiveSchema
+  })
+  .or('url', 'events', 'description', 'active')
+  .messages({
+    'object.missing': 'At least one of url, events, description or active is required'
+  });
+
+  const listWebhooksSchema = Joi.object({
+    contestId: contestIdSchema.optional(),
+    ...paginationSchema
+  });
+
+  const listDeliveriesSchema = Joi.object({
+    status: Joi.string()
+      .valid(...Object.values(DeliveryStatus))
+      .messages({
+        'any.only': `status must be one of ${Object.values(DeliveryStatus).join(', ')}`
+      }),
+    ...paginationSchema
+  });
+
+  // Run a paginated query, fetching one extra document to know whether another page exists
+  const paginate = async (query, collection, limit, cursor) => {
+    if (cursor) {
+      const cursorDoc = await db.collection(collection).doc(cursor).get();
+      if (!cursorDoc.exists) {
+        const error = new Error('Invalid pagination cursor');
+        error.name = 'ValidationError';
+        error.details = { cursor };
+        throw error;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      docs,
+      nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null
+    };
+  };
+
+  // POST /webhooks - Register a webhook for one contest or for all contests
+  router.post('/', createContestLimiter, requireAuth, validate(createWebhookSchema), asyncErrorHandler(async (req, res) => {
+    const { url, contestId, events, description, active } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      if (contestId) {
+        assertCanManage(await getContestData(contestId), req.user, 'add webhooks to');
+      }
+      await assertWebhookTarget(url);
+
+      const webhookData = {
+        url,
+        contestId: contestId || null,
+        events,
+        description: description || '',
+        active,
+        createdBy: req.user.uid,
+        secret: generateWebhookSecret(),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const docRef = await db.collection('webhooks').add(webhookData);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook registered successfully. Store the secret now; it will not be shown again',
+        data: {
+          id: docRef.id,
+          ...webhookData
+        }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'create_webhook');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // GET /webhooks - List the caller's webhooks, or the webhooks of a contest they manage
+  router.get('/', requireAuth, validate(listWebhooksSchema, 'query'), asyncErrorHandler(async (req, res) => {
+    const { contestId, limit, cursor } = req.query;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      let query = db.collection('webhooks');
+      if (contestId) {
+        assertCanManage(await getContestData(contestId), req.user, 'view webhooks of');
+        query = query.where('contestId', '==', contestId);
+      } else {
+        query = query.where('createdBy', '==', req.user.uid);
+      }
+      query = query.orderBy('createdAt', 'desc');
+
+      const { docs, nextCursor } = await paginate(query, 'webhooks', limit, cursor);
+
+      res.json({
+        success: true,
+        count: docs.length,
+        webhooks: docs.map(toPublicWebhook),
+        nextCursor
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'list_webhooks');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // GET /webhooks/:id - Get a webhook
+  router.get('/:id', requireAuth, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      const doc = await getWebhook(id);
+      await assertWebhookAccess(doc, req.user);
+
+      res.json({
+        success: true,
+        webhook: toPublicWebhook(doc)
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'get_webhook');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // PUT /webhooks/:id - Change a webhook's URL, event types, description or active flag
+  router.put('/:id', updateContestLimiter, requireAuth, validate(updateWebhookSchema), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { url, events, description, active } = req.body;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      await assertWebhookAccess(await getWebhook(id), req.user);
+      if (url !== undefined) {
+        await assertWebhookTarget(url);
+      }
+
+      // Update only the fields that were sent
+      await db.collection('webhooks').doc(id).update({
+        ...(url !== undefined && { url }),
+        ...(events !== undefined && { events }),
+        ...(description !== undefined && { description }),
+        ...(active !== undefined && { active }),
+        updatedAt: new Date()
+      });
+
+      const updatedDoc = await db.collection('webhooks').doc(id).get();
+
+      res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: toPublicWebhook(updatedDoc)
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'update_webhook');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // DELETE /webhooks/:id - Remove a webhook; its delivery log is kept
+  router.delete('/:id', updateContestLimiter, requireAuth, asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      await assertWebhookAccess(await getWebhook(id), req.user);
+      await db.collection('webhooks').doc(id).delete();
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully',
+        data: { id }
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'delete_webhook');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // GET /webhooks/:id/deliveries - List delivery attempts for a webhook, newest first
+  router.get('/:id/deliveries', requireAuth, validate(listDeliveriesSchema, 'query'), asyncErrorHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, limit, cursor } = req.query;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      await assertWebhookAccess(await getWebhook(id), req.user);
+
+      let query = db.collection('webhookDeliveries').where('webhookId', '==', id);
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+      query = query.orderBy('createdAt', 'desc');
+
+      const { docs, nextCursor } = await paginate(query, 'webhookDeliveries', limit, cursor);
+
+      res.json({
+        success: true,
+        count: docs.length,
+        deliveries: docs.map(doc => toDeliveryResponse({
+          id: doc.id,
+          ...doc.data()
+        })),
+        nextCursor
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'list_webhook_deliveries');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  // POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again now
+  router.post('/:id/deliveries/:deliveryId/redeliver', updateContestLimiter, requireAuth, asyncErrorHandler(async (req, res) => {
+    const { id, deliveryId } = req.params;
+
+    if (!db) {
+      const error = new Error('Firebase service is not configured');
+      error.name = 'ServiceUnavailableError';
+      throw error;
+    }
+
+    try {
+      await assertWebhookAccess(await getWebhook(id), req.user);
+
+      const deliveryDoc = await db.collection('webhookDeliveries').doc(deliveryId).get();
+      if (!deliveryDoc.exists || deliveryDoc.data().webhookId !== id) {
+        const error = new Error('Delivery not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      const delivery = await attemptDelivery(deliveryId, AttemptTriggers.MANUAL);
+      if (!delivery) {
+        const error = new Error('Delivery could not be recorded');
+        error.name = 'ServiceUnavailableError';
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        message: delivery.status === DeliveryStatus.SUCCEEDED
+          ? 'Delivery succeeded'
+          : 'Delivery failed',
+        data: toDeliveryResponse(delivery)
+      });
+    } catch (error) {
+      // Handle Firebase-specific errors
+      const { statusCode, response } = handleFirebaseError(error, req, 'redeliver_webhook');
+      res.status(statusCode).json(response);
+    }
+  }));
+
+  return router;
+};
+
+module.exports = createWebhooksRouter;
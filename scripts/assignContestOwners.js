@@ -0,0 +1,84 @@
+/**
+ * Assign Contest Owners
+ * Gives contests created before ownership was recorded an owner, so someone can manage them again
+ *
+ * Usage:
+ *   node scripts/assignContestOwners.js <ownerUid> <contestId> [contestId...]
+ *   node scripts/assignContestOwners.js <ownerUid> --all
+ *
+ * Contests that already have an owner are left alone. Every assignment is recorded in the contest's audit log.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { firebaseApp, db } = require('../config/firebase');
+const { createContestRepository } = require('../repositories/contests');
+const { AuditActions, createSystemAuditContext, createAuditLog } = require('../services/auditLog');
+
+/**
+ * Find the IDs of every contest without an owner
+ * @returns {Promise<string[]>} Contest IDs
+ */
+const findOwnerlessContestIds = async () => {
+  // Firestore cannot query for a missing field, so every contest is read
+  const snapshot = await db.collection('contests').get();
+  return snapshot.docs.filter(doc => !doc.data().ownerId).map(doc => doc.id);
+};
+
+/**
+ * Make a user the owner of a contest that has none
+ * @param {Object} contests - Contest repository
+ * @param {Object} auditLog - Audit log
+ * @param {string} id - Contest ID
+ * @param {string} ownerUid - User ID of the new owner
+ * @returns {Promise<string>} assigned, skipped (already owned) or missing
+ */
+const assignOwner = (contests, auditLog, id, ownerUid) => {
+  return contests.runTransaction(async (transaction) => {
+    const doc = await contests.getContest(id, transaction);
+    if (!doc.exists) {
+      return 'missing';
+    }
+
+    const contestData = doc.data();
+    if (contestData.ownerId) {
+      return 'skipped';
+    }
+
+    const update = {
+      ownerId: ownerUid,
+      coAdminIds: (contestData.coAdminIds || []).filter(uid => uid !== ownerUid),
+      updatedAt: new Date()
+    };
+    contests.updateContest(id, update, transaction);
+    auditLog.addAuditEntry(transaction, id, createSystemAuditContext('assign-contest-owners'),
+      AuditActions.OWNER_ASSIGNED, contestData, update);
+    return 'assigned';
+  });
+};
+
+const main = async () => {
+  const [ownerUid, ...targets] = process.argv.slice(2);
+  if (!ownerUid || targets.length === 0) {
+    throw new Error('Usage: node scripts/assignContestOwners.js <ownerUid> <contestId...|--all>');
+  }
+  if (!db) {
+    throw new Error(`No database available for STORAGE_BACKEND ${config.STORAGE_BACKEND}`);
+  }
+
+  const contests = createContestRepository(db);
+  const auditLog = createAuditLog(contests);
+  const ids = targets.includes('--all') ? await findOwnerlessContestIds() : targets;
+
+  for (const id of ids) {
+    const result = await assignOwner(contests, auditLog, id, ownerUid);
+    logger.info(`Contest ${id}: ${result}`, { contestId: id, ownerUid, result });
+  }
+};
+
+main()
+  .then(() => firebaseApp && firebaseApp.delete())
+  .catch((error) => {
+    logger.error(`Assigning contest owners failed: ${error.message}`);
+    process.exitCode = 1;
+  });
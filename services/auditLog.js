@@ -0,0 +1,123 @@
+/**
+ * Contest Audit Log
+ * Records who changed what in a contest, one entry per write, in the contests/{id}/audit subcollection
+ *
+ * Each entry holds the action, the actor, their IP and request ID, and the value of every
+ * changed field before and after the write.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const AuditActions = {
+  CONTEST_CREATED: 'contest.created',
+  CONTEST_CLONED: 'contest.cloned',
+  CONTEST_UPDATED: 'contest.updated',
+  OWNER_ASSIGNED: 'contest.owner_assigned',
+  CONTEST_JOINED: 'contest.joined',
+  SQUARE_CLAIMED: 'square.claimed',
+  SQUARE_RELEASED: 'square.released',
+  PAYMENT_RECORDED: 'payment.recorded',
+  CONTEST_STARTED: 'contest.started',
+  STATUS_CHANGED: 'contest.status_changed',
+  CONTEST_CANCELLED: 'contest.cancelled',
+  SCORE_RECORDED: 'score.recorded',
+  CO_ADMIN_ADDED: 'co_admin.added',
+  CO_ADMIN_REMOVED: 'co_admin.removed',
+  INVITE_CODE_REGENERATED: 'invite_code.regenerated',
+  INVITE_CODE_REVOKED: 'invite_code.revoked'
+};
+
+// Bookkeeping fields that change on every write and would only add noise to the diff
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'statusHistory'];
+
+/**
+ * Get the audit context of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} Actor, IP and request ID
+ */
+const getAuditContext = (req) => ({
+  actor: req.user
+    ? { uid: req.user.uid, email: req.user.email, authProvider: req.user.authProvider }
+    : null,
+  ip: req.ip || null,
+  requestId: req.id || null
+});
+
+/**
+ * Get the audit context for writes the server makes on its own, such as provider scores
+ * @param {string} source - What made the write
+ * @returns {Object} Audit context without a user, IP or request
+ */
+const createSystemAuditContext = (source) => ({
+  actor: { system: source },
+  ip: null,
+  requestId: null
+});
+
+/**
+ * Get the fields a write changes
+ * @param {Object|null} before - Contest data before the write, or null for a new contest
+ * @param {Object} update - Fields written
+ * @returns {Object} Changed fields mapped to their values before and after
+ */
+const diffFields = (before, update) => {
+  const previous = before || {};
+
+  return Object.fromEntries(Object.keys(update)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isDeepStrictEqual(previous[field], update[field]))
+    .map(field => [field, {
+      before: previous[field] === undefined ? null : previous[field],
+      after: update[field] === undefined ? null : update[field]
+    }]));
+};
+
+/**
+ * Build an audit entry
+ * @param {Object} context - Audit context from getAuditContext or createSystemAuditContext
+ * @param {string} action - Action from AuditActions
+ * @param {Object|null} before - Contest data before the write
+ * @param {Object} update - Fields written
+ * @returns {Object} Audit entry
+ */
+const createAuditEntry = (context, action, before, update) => ({
+  action,
+  ...context,
+  changes: diffFields(before, update),
+  createdAt: new Date()
+});
+
+/**
+ * Create the audit log for a contest repository
+ * @param {Object} contests - Contest repository
+ * @returns {Object} Audit log
+ */
+const createAuditLog = (contests) => {
+  const getAuditCollection = (contestId) => contests.getContestRef(contestId).collection('audit');
+
+  /**
+   * Add an audit entry to a transaction so it is only stored if the write commits
+   * @param {Object} transaction - Firestore transaction
+   * @param {string} contestId - Contest ID
+   * @param {Object} context - Audit context
+   * @param {string} action - Action from AuditActions
+   * @param {Object|null} before - Contest data before the write
+   * @param {Object} update - Fields written
+   */
+  const addAuditEntry = (transaction, contestId, context, action, before, update) => {
+    transaction.set(getAuditCollection(contestId).doc(), createAuditEntry(context, action, before, update));
+  };
+
+  return {
+    getAuditCollection,
+    addAuditEntry
+  };
+};
+
+module.exports = {
+  AuditActions,
+  getAuditContext,
+  createSystemAuditContext,
+  diffFields,
+  createAuditLog
+};
@@ -0,0 +1,149 @@
+/**
+ * Contest Events
+ * In-process publish/subscribe for contest changes, with a short replay history per contest
+ *
+ * Event IDs look like `<epoch>-<sequence>`. The epoch changes on every restart, so a client
+ * resuming with an ID from an earlier process is told to resync instead of silently missing events.
+ * Events only reach subscribers of the same instance, which each app creates for itself.
+ */
+
+const { EventEmitter } = require('events');
+
+const ContestEventTypes = {
+  SQUARE_CLAIMED: 'square.claimed',
+  SQUARE_RELEASED: 'square.released',
+  NAMES_UPDATED: 'names.updated',
+  STATUS_CHANGED: 'status.changed',
+  CONTEST_STARTED: 'contest.started',
+  SCORE_RECORDED: 'score.recorded',
+  WINNER_DECIDED: 'winner.decided'
+};
+
+// Upper bound on contests with replay history kept in memory; the least recently active are dropped first
+const MAX_TRACKED_CONTESTS = 1000;
+
+// Channel that receives the events of every contest
+const ALL_CONTESTS = Symbol('allContests');
+
+/**
+ * Create a contest event publisher
+ * @param {Object} dependencies - Publisher dependencies
+ * @param {Object} dependencies.config - Configuration
+ * @returns {Object} Contest event publisher
+ */
+const createContestEvents = ({ config }) => {
+  const epoch = Date.now().toString(36);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // contestId -> { sequence, events }
+  const histories = new Map();
+
+  /**
+   * Get the replay history for a contest, marking it as recently active
+   * @param {string} contestId - Contest ID
+   * @returns {Object} Sequence counter and recent events
+   */
+  const touchHistory = (contestId) => {
+    const history = histories.get(contestId) || { sequence: 0, events: [] };
+    histories.delete(contestId);
+    histories.set(contestId, history);
+
+    if (histories.size > MAX_TRACKED_CONTESTS) {
+      histories.delete(histories.keys().next().value);
+    }
+
+    return history;
+  };
+
+  /**
+   * Publish an event for a contest
+   * @param {string} contestId - Contest ID
+   * @param {string} type - Event type from ContestEventTypes
+   * @param {Object} data - Event payload
+   * @returns {Object} Published event
+   */
+  const publishContestEvent = (contestId, type, data = {}) => {
+    const history = touchHistory(contestId);
+    history.sequence += 1;
+
+    const event = {
+      id: `${epoch}-${history.sequence}`,
+      sequence: history.sequence,
+      contestId,
+      type,
+      data,
+      publishedAt: new Date().toISOString()
+    };
+
+    history.events.push(event);
+    if (history.events.length > config.CONTEST_EVENT_HISTORY_SIZE) {
+      history.events.shift();
+    }
+
+    emitter.emit(contestId, event);
+    emitter.emit(ALL_CONTESTS, event);
+    return event;
+  };
+
+  /**
+   * Subscribe to events for a contest
+   * @param {string} contestId - Contest ID
+   * @param {Function} listener - Called with each published event
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribeToContest = (contestId, listener) => {
+    emitter.on(contestId, listener);
+    return () => emitter.off(contestId, listener);
+  };
+
+  /**
+   * Subscribe to events for every contest
+   * @param {Function} listener - Called with each published event
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribeToAllContests = (listener) => {
+    emitter.on(ALL_CONTESTS, listener);
+    return () => emitter.off(ALL_CONTESTS, listener);
+  };
+
+  /**
+   * Get the events published after a given event ID
+   * @param {string} contestId - Contest ID
+   * @param {string} lastEventId - ID of the last event the client received
+   * @returns {Object[]|null} Missed events, or null when they can no longer be replayed
+   */
+  const getEventsSince = (contestId, lastEventId) => {
+    const [clientEpoch, sequenceText] = String(lastEventId).split('-');
+    const sequence = Number(sequenceText);
+
+    if (clientEpoch !== epoch || !Number.isInteger(sequence)) {
+      return null;
+    }
+
+    const history = histories.get(contestId);
+    if (!history) {
+      return sequence === 0 ? [] : null;
+    }
+
+    // Events between the client's last one and the oldest we still hold are gone
+    const oldest = history.events[0];
+    if (oldest && oldest.sequence > sequence + 1) {
+      return null;
+    }
+
+    return history.events.filter(event => event.sequence > sequence);
+  };
+
+  return {
+    publishContestEvent,
+    subscribeToContest,
+    subscribeToAllContests,
+    getEventsSince
+  };
+};
+
+module.exports = {
+  ContestEventTypes,
+  createContestEvents
+};
@@ -0,0 +1,112 @@
+/**
+ * Event Streams
+ * Server-Sent Events connections that relay contest events to clients
+ */
+
+/**
+ * Format an event in the text/event-stream wire format
+ * @param {Object} event - Contest event
+ * @returns {string} Event frame
+ */
+const formatEvent = (event) => (
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+);
+
+/**
+ * Create the event streams of an app
+ * @param {Object} dependencies - Stream dependencies
+ * @param {Object} dependencies.contestEvents - Contest event publisher to relay
+ * @param {Object} dependencies.config - Configuration
+ * @param {Object} dependencies.logger - Logger
+ * @returns {Object} Event streams
+ */
+const createEventStreams = ({ contestEvents, config, logger }) => {
+  const openStreams = new Set();
+
+  /**
+   * Open an event stream for a contest on the response
+   * When the client resumes with Last-Event-ID, missed events are replayed first; if they are no
+   * longer available a `resync` event tells the client to reload the contest
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} contestId - Contest ID
+   */
+  const openEventStream = (req, res, contestId) => {
+    const lastEventId = req.get('Last-Event-ID');
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.SSE_RETRY_MS}\n\n`);
+
+    if (lastEventId) {
+      const missedEvents = contestEvents.getEventsSince(contestId, lastEventId);
+      if (missedEvents) {
+        missedEvents.forEach(event => res.write(formatEvent(event)));
+      } else {
+        res.write(`event: resync\ndata: ${JSON.stringify({ contestId, lastEventId })}\n\n`);
+      }
+    }
+
+    const unsubscribe = contestEvents.subscribeToContest(contestId, event => res.write(formatEvent(event)));
+
+    // Comment lines keep proxies from timing out idle connections
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }, config.SSE_HEARTBEAT_INTERVAL_MS);
+
+    const stream = {
+      contestId,
+      close: () => {
+        cleanup();
+        res.end();
+      }
+    };
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      openStreams.delete(stream);
+    };
+
+    openStreams.add(stream);
+    req.on('close', cleanup);
+
+    logger.debug('Event stream opened', {
+      contestId,
+      resumedFrom: lastEventId || null,
+      openStreams: openStreams.size
+    });
+  };
+
+  /**
+   * Close every open event stream
+   * Used when the server drains so connections do not hold up shutdown
+   */
+  const closeAllStreams = () => {
+    const count = openStreams.size;
+    [...openStreams].forEach(stream => stream.close());
+    logger.info('Closed event streams', { count });
+  };
+
+  /**
+   * Get the number of open event streams
+   * @returns {number} Open stream count
+   */
+  const getOpenStreamCount = () => openStreams.size;
+
+  return {
+    openEventStream,
+    closeAllStreams,
+    getOpenStreamCount
+  };
+};
+
+module.exports = {
+  formatEvent,
+  createEventStreams
+};
@@ -0,0 +1,210 @@
+/**
+ * Live Score Poller
+ * Periodically pulls period scores for running contests from a score provider and records them
+ */
+
+const { handleError, getErrorType, ErrorTypes } = require('../utils/errorHandler');
+const { getPeriods } = require('../utils/board');
+const { ContestStatus } = require('../utils/contestLifecycle');
+const { ScoreSources } = require('./scoring');
+
+/**
+ * Decide whether a provider score should be written for a period
+ * Scores entered by an organizer are never overwritten by the provider
+ * @param {Object} current - Score currently stored for the period
+ * @param {Object} incoming - Score reported by the provider
+ * @returns {boolean} Whether to record the incoming score
+ */
+const shouldRecordScore = (current, incoming) => {
+  if (!current) {
+    return true;
+  }
+  if (current.source !== ScoreSources.PROVIDER) {
+    return false;
+  }
+  return current.home !== incoming.home || current.away !== incoming.away;
+};
+
+/**
+ * Score poller
+ */
+class ScorePoller {
+  /**
+   * @param {Object} provider - Score provider created by createScoreProvider
+   * @param {Object} options - Poller options
+   * @param {Object} options.contests - Contest repository
+   * @param {Object} options.scoring - Scoring service
+   * @param {Object} options.config - Configuration
+   * @param {Object} options.logger - Logger
+   * @param {number} options.intervalMs - Time between polls; defaults to SCORE_POLL_INTERVAL_MS
+   */
+  constructor(provider, { contests, scoring, config, logger, intervalMs = config.SCORE_POLL_INTERVAL_MS }) {
+    this.provider = provider;
+    this.contests = contests;
+    this.scoring = scoring;
+    this.logger = logger;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.isPolling = false;
+    this.lastPollAt = null;
+
+    // Bind methods
+    this.poll = this.poll.bind(this);
+  }
+
+  /**
+   * Start polling on the configured interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(this.poll, this.intervalMs);
+    // Polling alone should not keep the process alive
+    this.timer.unref();
+
+    this.logger.info('Score poller started', {
+      provider: this.provider.name,
+      intervalMs: this.intervalMs
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.logger.info('Score poller stopped');
+  }
+
+  /**
+   * Poll the provider once for every event with a running contest
+   * A poll is skipped while the previous one is still in flight
+   */
+  async poll() {
+    if (this.isPolling) {
+      this.logger.debug('Previous score poll still running, skipping');
+      return;
+    }
+
+    this.isPolling = true;
+
+    try {
+      const docs = await this.contests.findContestsByStatus([ContestStatus.ACTIVE, ContestStatus.IN_PROGRESS]);
+
+      // Each event is fetched once, however many contests are running on it
+      const contestsByEvent = new Map();
+      docs.forEach(doc => {
+        const contestData = doc.data();
+        if (!contestsByEvent.has(contestData.eventId)) {
+          contestsByEvent.set(contestData.eventId, []);
+        }
+        contestsByEvent.get(contestData.eventId).push({ id: doc.id, contestData });
+      });
+
+      for (const [eventId, contests] of contestsByEvent) {
+        await this.pollEvent(eventId, contests);
+      }
+
+      this.lastPollAt = new Date();
+    } catch (error) {
+      handleError(error, null, ErrorTypes.DATABASE, {
+        operation: 'poll_scores',
+        provider: this.provider.name
+      });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Fetch scores for one event and apply them to its contests
+   * @param {string} eventId - Event ID
+   * @param {Object[]} contests - Running contests for the event
+   */
+  async pollEvent(eventId, contests) {
+    let eventScores;
+    try {
+      eventScores = await this.provider.getScores(eventId);
+    } catch (error) {
+      handleError(error, null, ErrorTypes.EXTERNAL_SERVICE, {
+        operation: 'fetch_scores',
+        provider: this.provider.name,
+        eventId
+      });
+      return;
+    }
+
+    if (!eventScores) {
+      return;
+    }
+
+    for (const { id, contestData } of contests) {
+      await this.applyScores(id, contestData, eventScores);
+    }
+  }
+
+  /**
+   * Record any new or changed provider scores for a contest
+   * @param {string} id - Contest ID
+   * @param {Object} contestData - Contest document data
+   * @param {Object} eventScores - Scores returned by the provider
+   */
+  async applyScores(id, contestData, eventScores) {
+    const scores = contestData.scores || {};
+
+    for (const period of getPeriods(contestData)) {
+      const incoming = eventScores.periods[period.key];
+      if (!incoming || !shouldRecordScore(scores[period.key], incoming)) {
+        continue;
+      }
+
+      try {
+        await this.scoring.recordScore(id, {
+          periodKey: period.key,
+          home: incoming.home,
+          away: incoming.away,
+          source: ScoreSources.PROVIDER,
+          provider: this.provider.name
+        });
+
+        this.logger.info('Recorded provider score', {
+          contestId: id,
+          eventId: contestData.eventId,
+          period: period.key,
+          home: incoming.home,
+          away: incoming.away
+        });
+      } catch (error) {
+        handleError(error, null, getErrorType(error, ErrorTypes.DATABASE), {
+          operation: 'record_provider_score',
+          contestId: id,
+          period: period.key
+        });
+      }
+    }
+  }
+
+  /**
+   * Get poller status
+   */
+  getStatus() {
+    return {
+      provider: this.provider.name,
+      running: Boolean(this.timer),
+      intervalMs: this.intervalMs,
+      lastPollAt: this.lastPollAt
+    };
+  }
+}
+
+module.exports = {
+  ScorePoller,
+  shouldRecordScore
+};
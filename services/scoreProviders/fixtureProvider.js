@@ -0,0 +1,54 @@
+/**
+ * Fixture Score Provider
+ * Reads event scores from a local JSON file or an HTTP URL so polling can run without a live sports feed
+ *
+ * The source is read again on every poll, so editing the file moves the game along. Format:
+ * {
+ *   "<eventId>": { "periods": { "quarter1": { "home": 7, "away": 3 } } }
+ * }
+ */
+
+const fs = require('fs/promises');
+
+/**
+ * Create a fixture score provider
+ * @param {Object} options - Provider options
+ * @param {Object} options.config - Configuration
+ * @param {string} options.source - JSON file path or http(s) URL; defaults to SCORE_FIXTURE_SOURCE
+ * @param {number} options.timeoutMs - Request timeout for URL sources; defaults to SCORE_PROVIDER_TIMEOUT_MS
+ * @returns {Object} Score provider
+ */
+const createFixtureProvider = ({
+  config,
+  source = config.SCORE_FIXTURE_SOURCE,
+  timeoutMs = config.SCORE_PROVIDER_TIMEOUT_MS
+}) => {
+  const isUrl = /^https?:\/\//i.test(source);
+
+  const loadFixtures = async () => {
+    if (!isUrl) {
+      return JSON.parse(await fs.readFile(source, 'utf8'));
+    }
+
+    const response = await fetch(source, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      const error = new Error(`Score fixture request failed with status ${response.status}`);
+      error.name = 'ExternalServiceError';
+      error.details = { source, status: response.status };
+      throw error;
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'fixture',
+    getScores: async (eventId) => {
+      const fixtures = await loadFixtures();
+      return fixtures[eventId] || null;
+    }
+  };
+};
+
+module.exports = {
+  createFixtureProvider
+};
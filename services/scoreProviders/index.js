@@ -0,0 +1,79 @@
+/**
+ * Score Providers
+ * Adapters that fetch live period scores for an event
+ *
+ * A provider is created by a factory and exposes:
+ *   name                - Provider name recorded with each score
+ *   getScores(eventId)  - Resolves to { periods: { [periodKey]: { home, away } } },
+ *                         or null when the provider has nothing for the event
+ * Period keys must match the contest's own periods (quarter1..quarter4 for classic contests).
+ */
+
+const Joi = require('joi');
+const { scoreSchema } = require('../../middleware/validation');
+const { createFixtureProvider } = require('./fixtureProvider');
+
+const providerFactories = {
+  fixture: createFixtureProvider
+};
+
+const eventScoresSchema = Joi.object({
+  periods: Joi.object()
+    .pattern(Joi.string(), Joi.object({
+      home: scoreSchema,
+      away: scoreSchema
+    }).unknown(true))
+    .required()
+}).unknown(true);
+
+/**
+ * Register a score provider factory
+ * @param {string} name - Provider name used in SCORE_PROVIDER
+ * @param {Function} factory - Function returning a provider for the given options, which include the configuration
+ */
+const registerScoreProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Create a score provider whose results are checked before use
+ * @param {string} name - Registered provider name
+ * @param {Object} options - Options passed to the provider factory
+ * @param {Object} options.config - Configuration
+ * @returns {Object} Score provider
+ * @throws {Error} Configuration error when no provider is registered under the name
+ */
+const createScoreProvider = (name, options) => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    const error = new Error(`Unknown score provider '${name}'. Available providers: ${Object.keys(providerFactories).join(', ')}`);
+    error.name = 'ConfigurationError';
+    throw error;
+  }
+
+  const provider = factory(options);
+
+  return {
+    name: provider.name || name,
+    getScores: async (eventId) => {
+      const eventScores = await provider.getScores(eventId);
+      if (!eventScores) {
+        return null;
+      }
+
+      const { error, value } = eventScoresSchema.validate(eventScores);
+      if (error) {
+        const invalidError = new Error(`Score provider '${name}' returned invalid scores: ${error.message}`);
+        invalidError.name = 'ExternalServiceError';
+        invalidError.details = { provider: name, eventId };
+        throw invalidError;
+      }
+      return value;
+    }
+  };
+};
+
+module.exports = {
+  registerScoreProvider,
+  createScoreProvider
+};
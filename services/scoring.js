@@ -0,0 +1,189 @@
+/**
+ * Contest Scoring
+ * Record period scores and recompute winners for the scores route and the live score poller
+ */
+
+const {
+  getPeriods,
+  getUnsoldSquaresSettings,
+  computeWinners,
+  summarizeResults
+} = require('../utils/board');
+const {
+  ContestStatus,
+  assertStatus,
+  buildTransitionUpdate
+} = require('../utils/contestLifecycle');
+const { assertCanManage } = require('../utils/contestRoles');
+const { assertIfMatch } = require('../utils/etag');
+const { ContestEventTypes } = require('./contestEvents');
+const { AuditActions, createSystemAuditContext } = require('./auditLog');
+
+const ScoreSources = {
+  MANUAL: 'manual',
+  PROVIDER: 'provider'
+};
+
+/**
+ * Find a contest period by key
+ * @param {Object} contestData - Contest document data
+ * @param {string} periodKey - Period key sent by the client or provider
+ * @returns {Object} Period definition
+ * @throws {Error} Validation error when the contest has no such period
+ */
+const findPeriod = (contestData, periodKey) => {
+  const periods = getPeriods(contestData);
+  const period = periods.find(entry => entry.key === periodKey);
+
+  if (!period) {
+    const periodKeys = periods.map(entry => entry.key);
+    const error = new Error(`period must be one of ${periodKeys.join(', ')}`);
+    error.name = 'ValidationError';
+    error.details = { period: periodKey, validPeriods: periodKeys };
+    throw error;
+  }
+
+  return period;
+};
+
+// Fields that identify a period result; stored maps may come back with their keys reordered
+const RESULT_FIELDS = ['outcome', 'squareIndex', 'name', 'prize', 'carriedOver', 'home', 'away'];
+
+/**
+ * Check whether two period results are the same
+ * @param {Object} a - Period result
+ * @param {Object} b - Period result
+ * @returns {boolean} Whether the results match
+ */
+const isSameResult = (a, b) => Boolean(a && b) && RESULT_FIELDS.every(field => a[field] === b[field]);
+
+/**
+ * Create the scoring service
+ * @param {Object} dependencies - Service dependencies
+ * @param {Object} dependencies.contests - Contest repository
+ * @param {Object} dependencies.auditLog - Audit log
+ * @param {Object} dependencies.contestEvents - Contest event publisher
+ * @returns {Object} Scoring service
+ */
+const createScoringService = ({ contests, auditLog, contestEvents }) => {
+  /**
+   * Publish live events for a recorded score
+   * A winner event is sent for every period whose result changed, including rollovers into later periods
+   * @param {string} id - Contest ID
+   * @param {Object} result - Result of recording the score
+   * @param {Object} previous - Status and winners before the score was recorded
+   */
+  const publishScoreEvents = (id, result, previous) => {
+    if (result.status !== previous.status) {
+      contestEvents.publishContestEvent(id, ContestEventTypes.STATUS_CHANGED, {
+        from: previous.status,
+        to: result.status
+      });
+    }
+
+    contestEvents.publishContestEvent(id, ContestEventTypes.SCORE_RECORDED, {
+      period: result.period,
+      score: result.scores[result.period.key],
+      scores: result.scores,
+      summary: result.summary
+    });
+
+    Object.entries(result.winners)
+      .filter(([periodKey, winner]) => !isSameResult(winner, previous.winners[periodKey]))
+      .forEach(([periodKey, winner]) => {
+        contestEvents.publishContestEvent(id, ContestEventTypes.WINNER_DECIDED, { period: periodKey, winner });
+      });
+  };
+
+  /**
+   * Record the score for one period and recompute the winners
+   * The first score moves an active contest to in_progress
+   * @param {string} id - Contest ID
+   * @param {Object} score - Score to record
+   * @param {string} score.periodKey - Period the score belongs to
+   * @param {number} score.home - Home team score
+   * @param {number} score.away - Away team score
+   * @param {string} score.source - Where the score came from (manual or provider)
+   * @param {string} score.provider - Name of the score provider, when recorded by one
+   * @param {Object} options - Recording options
+   * @param {Object} options.user - User recording the score; when given they must manage the contest
+   * @param {Object} options.auditContext - Who is recording the score, for the audit log
+   * @param {string} options.ifMatch - If-Match header; the score is refused when the contest has changed since
+   * @returns {Promise<Object>} Recorded period, new status, scores, winners and summary
+   */
+  const recordScore = async (id, { periodKey, home, away, source = ScoreSources.MANUAL, provider }, options = {}) => {
+    // Scores recorded without a request come from the live score poller
+    const { user, auditContext = createSystemAuditContext(`score-provider:${provider || source}`), ifMatch } = options;
+    let previous = null;
+
+    const result = await contests.runTransaction(async (transaction) => {
+      const doc = await contests.getContest(id, transaction);
+      if (!doc.exists) {
+        const error = new Error('Contest not found');
+        error.name = 'NotFoundError';
+        error.code = 'not-found';
+        throw error;
+      }
+
+      assertIfMatch(ifMatch, doc);
+
+      const contestData = doc.data();
+      if (user) {
+        assertCanManage(contestData, user, 'score');
+      }
+      assertStatus(contestData, [ContestStatus.ACTIVE, ContestStatus.IN_PROGRESS], 'scored');
+      previous = { status: contestData.status, winners: contestData.winners || {} };
+
+      const period = findPeriod(contestData, periodKey);
+
+      // Scores are stored per period so corrections simply overwrite the previous entry
+      const scores = {
+        ...contestData.scores,
+        [period.key]: {
+          home,
+          away,
+          source,
+          ...(provider && { provider }),
+          recordedAt: new Date()
+        }
+      };
+      const winners = computeWinners({ ...contestData, scores });
+
+      // The first recorded score means the game is under way
+      const statusUpdate = contestData.status === ContestStatus.ACTIVE
+        ? buildTransitionUpdate(contestData, ContestStatus.IN_PROGRESS, 'First score recorded')
+        : {};
+
+      const update = {
+        scores,
+        winners,
+        updatedAt: new Date(),
+        ...statusUpdate
+      };
+      contests.updateContest(id, update, transaction);
+      auditLog.addAuditEntry(transaction, id, auditContext, AuditActions.SCORE_RECORDED, contestData, update);
+
+      return {
+        period,
+        status: statusUpdate.status || contestData.status,
+        scores,
+        winners,
+        unsoldSquares: getUnsoldSquaresSettings(contestData),
+        summary: summarizeResults({ ...contestData, scores }, winners)
+      };
+    });
+
+    publishScoreEvents(id, result, previous);
+    return result;
+  };
+
+  return {
+    recordScore
+  };
+};
+
+module.exports = {
+  ScoreSources,
+  findPeriod,
+  createScoringService
+};
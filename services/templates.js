@@ -0,0 +1,88 @@
+/**
+ * Contest Templates
+ * Saved contest settings that new contests can be created from
+ *
+ * Templates keep prizes as they were entered (e.g. `{ payoutMode: 'standard' }`), so they are
+ * resolved against the contest's cost and grid each time a contest is created.
+ */
+
+// Settings a template carries over to the contests created from it
+const TEMPLATE_SETTINGS = [
+  'costPerSquare',
+  'gridSize',
+  'quarterPrizes',
+  'periods',
+  'prizePool',
+  'requirePaymentBeforeStart',
+  'unsoldSquares',
+  'visibility',
+  'names'
+];
+
+// A contest uses either quarterPrizes or periods with a prizePool, never a mix of the two
+const PRIZE_SETTINGS = ['quarterPrizes', 'periods', 'prizePool'];
+
+/**
+ * Create the template service
+ * @param {Object} db - Firestore or the in-memory store
+ * @returns {Object} Template service
+ */
+const createTemplateService = (db) => {
+  /**
+   * Load a template the user owns
+   * @param {string} id - Template ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Template data with its ID
+   * @throws {Error} Not found or forbidden error
+   */
+  const getTemplate = async (id, user) => {
+    const doc = await db.collection('templates').doc(id).get();
+    if (!doc.exists) {
+      const error = new Error('Template not found');
+      error.name = 'NotFoundError';
+      error.code = 'not-found';
+      error.details = { templateId: id };
+      throw error;
+    }
+
+    const template = { id: doc.id, ...doc.data() };
+    if (template.ownerId !== user.uid) {
+      const error = new Error('You do not have access to this template');
+      error.name = 'ForbiddenError';
+      error.code = 'template-access-denied';
+      error.details = { templateId: id };
+      throw error;
+    }
+
+    return template;
+  };
+
+  return {
+    getTemplate
+  };
+};
+
+/**
+ * Fill in contest settings from a template
+ * Settings in the request take precedence; sending any prize setting replaces all of the template's prize settings
+ * @param {Object} template - Template data
+ * @param {Object} body - Contest settings from the request
+ * @returns {Object} Combined contest settings
+ */
+const applyTemplate = (template, body) => {
+  const replacesPrizes = PRIZE_SETTINGS.some(setting => body[setting] !== undefined);
+  const settings = TEMPLATE_SETTINGS
+    .filter(setting => template[setting] !== undefined)
+    .filter(setting => !(replacesPrizes && PRIZE_SETTINGS.includes(setting)));
+
+  return {
+    ...Object.fromEntries(settings.map(setting => [setting, template[setting]])),
+    ...body
+  };
+};
+
+module.exports = {
+  TEMPLATE_SETTINGS,
+  createTemplateService,
+  applyTemplate
+};
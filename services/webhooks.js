@@ -0,0 +1,322 @@
+/**
+ * Webhooks
+ * Deliver contest events to registered URLs with HMAC signatures, retries and a delivery log
+ *
+ * Each request carries:
+ *   X-Squares-Event      - Event type
+ *   X-Squares-Delivery   - Delivery ID (stable across retries)
+ *   X-Squares-Signature  - `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed by the webhook secret>`
+ *
+ * Retries are scheduled in-process, so retries still pending when the process exits are not resumed;
+ * they stay visible in the delivery log and can be redelivered.
+ */
+
+const crypto = require('crypto');
+const { handleError, ErrorTypes } = require('../utils/errorHandler');
+const { canManageContest } = require('../utils/contestRoles');
+const { assertPublicUrl } = require('../utils/publicUrls');
+const { ContestEventTypes } = require('./contestEvents');
+
+const WEBHOOK_EVENT_TYPES = Object.values(ContestEventTypes);
+
+const DeliveryStatus = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const AttemptTriggers = {
+  AUTOMATIC: 'automatic',
+  MANUAL: 'manual'
+};
+
+/**
+ * Generate a signing secret for a new webhook
+ * @returns {string} Webhook secret
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Build the signature header for a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Format a delivery for API responses, with its payload as an object
+ * @param {Object} delivery - Delivery with its ID
+ * @returns {Object} Delivery
+ */
+const toDeliveryResponse = (delivery) => ({
+  ...delivery,
+  payload: JSON.parse(delivery.payload)
+});
+
+/**
+ * Create the webhook service
+ * @param {Object} dependencies - Service dependencies
+ * @param {Object} dependencies.db - Firestore or the in-memory store
+ * @param {Object} dependencies.contests - Contest repository
+ * @param {Object} dependencies.contestEvents - Contest event publisher whose events are delivered
+ * @param {Object} dependencies.config - Configuration
+ * @param {Object} dependencies.logger - Logger
+ * @returns {Object} Webhook service
+ */
+const createWebhookService = ({ db, contests, contestEvents, config, logger }) => {
+  // deliveryId -> retry timer
+  const scheduledRetries = new Map();
+  let unsubscribe = null;
+
+  /**
+   * Get the delay before an automatic retry
+   * @param {number} attemptCount - Automatic attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  const getRetryDelay = (attemptCount) => config.WEBHOOK_RETRY_BASE_MS * 2 ** (attemptCount - 1);
+
+  /**
+   * Find active webhooks registered for an event's contest or globally that want the event type
+   * Global webhooks only receive events for contests their creator manages, so one without a recorded
+   * creator receives none
+   * @param {Object} event - Contest event
+   * @returns {Promise<Object[]>} Matching webhooks
+   */
+  const findSubscribedWebhooks = async (event) => {
+    const [contestSnapshot, globalSnapshot, contestDoc] = await Promise.all([
+      db.collection('webhooks').where('contestId', '==', event.contestId).get(),
+      db.collection('webhooks').where('contestId', '==', null).get(),
+      contests.getContest(event.contestId)
+    ]);
+
+    const contestData = contestDoc.exists ? contestDoc.data() : {};
+    const globalWebhooks = globalSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(webhook => webhook.createdBy && canManageContest(contestData, { uid: webhook.createdBy }));
+
+    return [...contestSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), ...globalWebhooks]
+      .filter(webhook => webhook.active && webhook.events.includes(event.type));
+  };
+
+  /**
+   * Send one delivery attempt
+   * @param {Object} webhook - Webhook document data
+   * @param {Object} delivery - Delivery with its ID
+   * @returns {Promise<Object>} Attempt outcome
+   */
+  const sendAttempt = async (webhook, delivery) => {
+    const body = delivery.payload;
+    const startedAt = Date.now();
+
+    try {
+      // Checked again on every attempt, since the host may resolve elsewhere than when the webhook was registered
+      if (!config.WEBHOOK_ALLOW_PRIVATE_TARGETS) {
+        await assertPublicUrl(webhook.url);
+      }
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `PremierSquares-Webhooks/${config.API_VERSION}`,
+          'X-Squares-Event': delivery.eventType,
+          'X-Squares-Delivery': delivery.id,
+          'X-Squares-Signature': signPayload(webhook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+      });
+
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        durationMs: Date.now() - startedAt,
+        error: response.ok ? null : `Receiver responded with status ${response.status}`
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      };
+    }
+  };
+
+  /**
+   * Schedule an automatic retry for a delivery
+   * @param {string} deliveryId - Delivery ID
+   * @param {number} delayMs - Delay before the retry
+   */
+  const scheduleRetry = (deliveryId, delayMs) => {
+    const timer = setTimeout(() => attemptDelivery(deliveryId, AttemptTriggers.AUTOMATIC), delayMs);
+    // Pending retries alone should not keep the process alive
+    timer.unref();
+    scheduledRetries.set(deliveryId, timer);
+  };
+
+  /**
+   * Make a delivery attempt and record the outcome in the delivery log
+   * Failures are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS automatic attempts have been made
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} trigger - Whether the attempt was automatic or a manual redelivery
+   * @returns {Promise<Object|null>} Updated delivery, or null when it no longer exists
+   */
+  const attemptDelivery = async (deliveryId, trigger = AttemptTriggers.AUTOMATIC) => {
+    clearTimeout(scheduledRetries.get(deliveryId));
+    scheduledRetries.delete(deliveryId);
+
+    try {
+      const deliveryRef = db.collection('webhookDeliveries').doc(deliveryId);
+      const deliveryDoc = await deliveryRef.get();
+      if (!deliveryDoc.exists) {
+        return null;
+      }
+
+      const delivery = { id: deliveryDoc.id, ...deliveryDoc.data() };
+      const webhookDoc = await db.collection('webhooks').doc(delivery.webhookId).get();
+      const result = webhookDoc.exists
+        ? await sendAttempt(webhookDoc.data(), delivery)
+        : { ok: false, statusCode: null, durationMs: 0, error: 'Webhook no longer exists' };
+
+      const attempts = [
+        ...(delivery.attempts || []),
+        {
+          number: (delivery.attempts || []).length + 1,
+          trigger,
+          attemptedAt: new Date(),
+          statusCode: result.statusCode,
+          durationMs: result.durationMs,
+          error: result.error
+        }
+      ];
+      const automaticAttempts = attempts.filter(attempt => attempt.trigger === AttemptTriggers.AUTOMATIC).length;
+      // A failed manual redelivery only resumes automatic retries if they had not finished yet
+      const retriesActive = trigger === AttemptTriggers.AUTOMATIC || delivery.status === DeliveryStatus.PENDING;
+      const willRetry = !result.ok && webhookDoc.exists && retriesActive && automaticAttempts < config.WEBHOOK_MAX_ATTEMPTS;
+      const retryDelay = willRetry ? getRetryDelay(automaticAttempts) : null;
+
+      const update = {
+        attempts,
+        status: result.ok ? DeliveryStatus.SUCCEEDED : (willRetry ? DeliveryStatus.PENDING : DeliveryStatus.FAILED),
+        nextAttemptAt: willRetry ? new Date(Date.now() + retryDelay) : null,
+        updatedAt: new Date(),
+        ...(result.ok && { deliveredAt: new Date() })
+      };
+      await deliveryRef.update(update);
+
+      if (!result.ok) {
+        const error = new Error(`Webhook delivery failed: ${result.error}`);
+        handleError(error, null, ErrorTypes.EXTERNAL_SERVICE, {
+          operation: 'deliver_webhook',
+          webhookId: delivery.webhookId,
+          deliveryId,
+          attempt: attempts.length,
+          statusCode: result.statusCode,
+          nextAttemptAt: update.nextAttemptAt
+        });
+      }
+
+      if (willRetry) {
+        scheduleRetry(deliveryId, retryDelay);
+      }
+
+      return { ...delivery, ...update };
+    } catch (error) {
+      handleError(error, null, ErrorTypes.DATABASE, {
+        operation: 'deliver_webhook',
+        deliveryId
+      });
+      return null;
+    }
+  };
+
+  /**
+   * Record and send a delivery of an event to every subscribed webhook
+   * @param {Object} event - Contest event
+   */
+  const dispatchContestEvent = async (event) => {
+    try {
+      const webhooks = await findSubscribedWebhooks(event);
+
+      await Promise.all(webhooks.map(async (webhook) => {
+        const deliveryRef = await db.collection('webhookDeliveries').add({
+          webhookId: webhook.id,
+          contestId: event.contestId,
+          eventId: event.id,
+          eventType: event.type,
+          // Stored as the JSON text so redeliveries send exactly the same body;
+          // event data can hold nested arrays, which Firestore cannot store as values
+          payload: JSON.stringify({
+            id: event.id,
+            type: event.type,
+            contestId: event.contestId,
+            publishedAt: event.publishedAt,
+            data: event.data
+          }),
+          status: DeliveryStatus.PENDING,
+          attempts: [],
+          nextAttemptAt: new Date(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+
+        await attemptDelivery(deliveryRef.id);
+      }));
+    } catch (error) {
+      handleError(error, null, ErrorTypes.DATABASE, {
+        operation: 'dispatch_webhooks',
+        contestId: event.contestId,
+        eventType: event.type
+      });
+    }
+  };
+
+  /**
+   * Start delivering contest events to webhooks
+   */
+  const startWebhookDispatcher = () => {
+    if (unsubscribe) {
+      return;
+    }
+
+    unsubscribe = contestEvents.subscribeToAllContests(dispatchContestEvent);
+    logger.info('Webhook dispatcher started');
+  };
+
+  /**
+   * Stop delivering contest events and cancel scheduled retries
+   */
+  const stopWebhookDispatcher = () => {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+
+    scheduledRetries.forEach(timer => clearTimeout(timer));
+    scheduledRetries.clear();
+  };
+
+  return {
+    attemptDelivery,
+    dispatchContestEvent,
+    startWebhookDispatcher,
+    stopWebhookDispatcher
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  DeliveryStatus,
+  AttemptTriggers,
+  generateWebhookSecret,
+  signPayload,
+  toDeliveryResponse,
+  createWebhookService
+};
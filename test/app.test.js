@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const { createApp } = require('../app');
+const { createMemoryStore } = require('../repositories/memoryStore');
+
+test('each app polls scores with its own settings', () => {
+  const createAppWith = (settings) => createApp({
+    config: { ...config, AUTH_MODE: 'local', ...settings },
+    db: createMemoryStore(),
+    auth: null
+  });
+
+  const fast = createAppWith({ SCORE_PROVIDER: 'fixture', SCORE_FIXTURE_SOURCE: 'fast.json', SCORE_POLL_INTERVAL_MS: 1000 });
+  const slow = createAppWith({ SCORE_PROVIDER: 'fixture', SCORE_FIXTURE_SOURCE: 'slow.json', SCORE_POLL_INTERVAL_MS: 60000 });
+  const unpolled = createAppWith({ SCORE_PROVIDER: null });
+
+  assert.equal(fast.locals.services.scorePoller.getStatus().intervalMs, 1000);
+  assert.equal(slow.locals.services.scorePoller.getStatus().intervalMs, 60000);
+  assert.equal(fast.locals.services.scorePoller.getStatus().running, false);
+  assert.equal(unpolled.locals.services.scorePoller, null);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContestRepository } = require('../repositories/contests');
+const { createMemoryStore } = require('../repositories/memoryStore');
+const { generateInviteCode } = require('../utils/inviteCodes');
+
+test('concurrent transactions cannot reserve the same invite code', async () => {
+  const contests = createContestRepository(createMemoryStore());
+  const inviteCode = generateInviteCode();
+
+  const createWithCode = () => contests.runTransaction(async (transaction) => {
+    if (await contests.isInviteCodeTaken(inviteCode, transaction)) {
+      return null;
+    }
+    const id = await contests.createContest({ inviteCode }, transaction);
+    contests.reserveInviteCode(inviteCode, id, transaction);
+    return id;
+  });
+
+  const ids = await Promise.all([createWithCode(), createWithCode()]);
+  assert.equal(ids.filter(Boolean).length, 1);
+  assert.equal((await contests.findContestByInviteCode(inviteCode)).id, ids.find(Boolean));
+});
+
+test('invite codes of contests created before reservations are taken', async () => {
+  const db = createMemoryStore();
+  const contests = createContestRepository(db);
+  const inviteCode = generateInviteCode();
+  await db.collection('contests').add({ inviteCode });
+
+  const taken = await contests.runTransaction(transaction => contests.isInviteCodeTaken(inviteCode, transaction));
+  assert.equal(taken, true);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createApp } = require('../app');
+const { createMemoryStore } = require('../repositories/memoryStore');
+
+let server;
+let baseUrl;
+
+const request = async (method, path, { body, uid } = {}) => {
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'Mozilla/5.0 (contest tests)' };
+  if (uid) {
+    headers.Authorization = `Bearer local:${uid}`;
+  }
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  logger.silent = true;
+  const app = createApp({ config: { ...config, AUTH_MODE: 'local' }, db: createMemoryStore(), auth: null });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('payments are only returned to contest managers', async () => {
+  const created = await request('POST', '/contests', {
+    uid: 'owner',
+    body: { eventId: 'event-1', costPerSquare: 2, quarterPrizes: { payoutMode: 'standard' }, visibility: 'public' }
+  });
+  assert.equal(created.status, 201);
+  const id = created.body.documentId;
+
+  const names = Array.from({ length: 100 }, (_, index) => (index < 50 ? 'Al' : 'Bo'));
+  assert.equal((await request('PUT', `/contests/${id}`, { uid: 'owner', body: { names } })).status, 200);
+  const payment = await request('POST', `/contests/${id}/ledger/payments`, {
+    uid: 'owner',
+    body: { participant: 'Al', amount: 100, method: 'venmo', note: 'paid in full' }
+  });
+  assert.equal(payment.status, 201);
+
+  const anonymous = await request('GET', `/contests/${id}`);
+  assert.equal(anonymous.status, 200);
+  assert.equal(anonymous.body.contest.payments, undefined);
+  assert.equal(anonymous.body.contest.inviteCode, undefined);
+  assert.deepEqual(anonymous.body.contest.names, names);
+
+  const participant = await request('GET', `/contests/${id}`, { uid: 'player' });
+  assert.equal(participant.body.contest.payments, undefined);
+
+  const listed = await request('GET', '/contests');
+  const listedContest = listed.body.contests.find(contest => contest.id === id);
+  assert.ok(listedContest);
+  assert.equal(listedContest.payments, undefined);
+
+  const owner = await request('GET', `/contests/${id}`, { uid: 'owner' });
+  assert.equal(owner.body.contest.payments.length, 1);
+  assert.equal(owner.body.contest.payments[0].participant, 'Al');
+});
@@ -0,0 +1,319 @@
+/**
+ * Board Utilities
+ * Grid geometry and winner lookup for squares boards
+ */
+
+const DEFAULT_GRID_SIZE = 10;
+// Grid sizes must divide 10 so every row and column carries the same number of digits
+const GRID_SIZES = [2, 5, 10];
+const MAX_SQUARE_COUNT = DEFAULT_GRID_SIZE * DEFAULT_GRID_SIZE;
+const QUARTERS = ['quarter1', 'quarter2', 'quarter3', 'quarter4'];
+const DIGITS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+/**
+ * Pick a random integer using Math.random
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Integer in [0, max)
+ */
+const defaultRandomInt = (max) => Math.floor(Math.random() * max);
+
+/**
+ * Shuffle an array using the Fisher-Yates algorithm for uniform distribution
+ * @param {Array} items - Items to shuffle
+ * @param {Function} randomInt - Source of random integers in [0, max)
+ * @returns {Array} New shuffled array
+ */
+const shuffle = (items, randomInt = defaultRandomInt) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Draw a random ordering of the digits 0-9 for one axis of the board
+ * @param {Function} randomInt - Source of random integers in [0, max)
+ * @returns {number[]} Permutation of 0-9
+ */
+const generateDigitAxis = (randomInt = defaultRandomInt) => shuffle(DIGITS, randomInt);
+
+/**
+ * Get the number of rows and columns on a contest's board
+ * Contests created before grid sizes were configurable are 10x10
+ * @param {Object} contestData - Contest document data
+ * @returns {number} Grid size
+ */
+const getGridSize = (contestData) => contestData.gridSize || DEFAULT_GRID_SIZE;
+
+/**
+ * Get the number of squares on a contest's board
+ * @param {Object} contestData - Contest document data
+ * @returns {number} Square count
+ */
+const getSquareCount = (contestData) => getGridSize(contestData) ** 2;
+
+/**
+ * Check whether a square has not been claimed
+ * @param {string|null} name - Name stored for the square
+ * @returns {boolean} Whether the square is open
+ */
+const isSquareOpen = (name) => typeof name !== 'string' || name.trim() === '';
+
+/**
+ * Expand a names array to one entry per square, using null for open squares
+ * @param {Array} names - Names stored on the contest
+ * @param {number} squareCount - Number of squares on the board
+ * @returns {Array} Array with exactly one entry per square
+ */
+const toSquares = (names = [], squareCount = MAX_SQUARE_COUNT) => {
+  return Array.from({ length: squareCount }, (_, i) => (isSquareOpen(names[i]) ? null : names[i]));
+};
+
+/**
+ * Count the squares that have not been claimed
+ * @param {Array} names - Names stored on the contest
+ * @param {number} squareCount - Number of squares on the board
+ * @returns {number} Number of open squares
+ */
+const countOpenSquares = (names, squareCount = MAX_SQUARE_COUNT) => {
+  return toSquares(names, squareCount).filter(isSquareOpen).length;
+};
+
+/**
+ * Get the last digit of a score
+ * @param {number} score - Non-negative team score
+ * @returns {number} Last digit (0-9)
+ */
+const lastDigit = (score) => score % 10;
+
+/**
+ * Get the digit axes for a contest
+ * Contests started before digits were drawn use 0-9 in order on both axes
+ * @param {Object} contestData - Contest document data
+ * @returns {Object} Home (column) and away (row) digit axes
+ */
+const getDigitAxes = (contestData) => ({
+  homeDigits: contestData.homeDigits || DIGITS,
+  awayDigits: contestData.awayDigits || DIGITS
+});
+
+/**
+ * Group a digit axis into the digits carried by each row or column
+ * On boards smaller than 10x10 each position carries consecutive digits from the axis
+ * @param {number[]} digits - Permutation of 0-9
+ * @param {number} gridSize - Number of rows or columns
+ * @returns {number[][]} Digits for each position on the axis
+ */
+const groupDigitAxis = (digits, gridSize) => {
+  const digitsPerCell = DIGITS.length / gridSize;
+  return Array.from({ length: gridSize }, (_, i) => digits.slice(i * digitsPerCell, (i + 1) * digitsPerCell));
+};
+
+/**
+ * Locate the winning square for a pair of scores
+ * Rows follow the away team's last digit and columns follow the home team's
+ * @param {Object} contestData - Contest document data
+ * @param {number} homeScore - Home team score
+ * @param {number} awayScore - Away team score
+ * @returns {number} Index into the names array
+ */
+const getWinningSquareIndex = (contestData, homeScore, awayScore) => {
+  const { homeDigits, awayDigits } = getDigitAxes(contestData);
+  const gridSize = getGridSize(contestData);
+  const digitsPerCell = DIGITS.length / gridSize;
+  const row = Math.floor(awayDigits.indexOf(lastDigit(awayScore)) / digitsPerCell);
+  const column = Math.floor(homeDigits.indexOf(lastDigit(homeScore)) / digitsPerCell);
+  return row * gridSize + column;
+};
+
+/**
+ * Get the scoring periods of a contest in play order
+ * Contests created with quarterPrizes are treated as four quarters
+ * @param {Object} contestData - Contest document data
+ * @returns {Object[]} Periods with key, name and prize
+ */
+const getPeriods = (contestData) => {
+  if (contestData.periods) {
+    return contestData.periods;
+  }
+
+  return QUARTERS.map((key, i) => ({
+    key,
+    name: `Quarter ${i + 1}`,
+    prize: contestData.quarterPrizes[key]
+  }));
+};
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get how a contest handles squares that were never sold
+ * Contests created before unsold squares were supported require a full board
+ * @param {Object} contestData - Contest document data
+ * @returns {Object} Whether unsold squares are allowed and the rule applied when one wins
+ */
+const getUnsoldSquaresSettings = (contestData) => ({
+  allowed: false,
+  rule: 'house',
+  ...contestData.unsoldSquares
+});
+
+/**
+ * Split a prize evenly across every sold square
+ * Shares are rounded down to whole cents and any leftover cents go to the house
+ * @param {Array} names - Names for every square
+ * @param {number} prize - Prize to split
+ * @returns {Object} Amount per participant and the leftover for the house
+ */
+const splitPrizeAcrossSoldSquares = (names, prize) => {
+  const soldNames = names.filter(name => !isSquareOpen(name));
+  const sharePerSquare = Math.floor(prize * 100 / soldNames.length) / 100;
+  const squareCounts = new Map();
+
+  soldNames.forEach(name => squareCounts.set(name, (squareCounts.get(name) || 0) + 1));
+
+  const splits = [...squareCounts.entries()].map(([name, squareCount]) => ({
+    name,
+    squareCount,
+    amount: toCents(sharePerSquare * squareCount)
+  }));
+
+  return {
+    sharePerSquare,
+    splits,
+    houseRemainder: toCents(prize - sharePerSquare * soldNames.length)
+  };
+};
+
+/**
+ * Compute the winner of every period that has a recorded score
+ * When an unsold square wins, the contest's unsold square rule decides where the prize goes:
+ * rollover adds it to the next period (the final period falls back to the house),
+ * house keeps it, and split shares it across every sold square
+ * @param {Object} contestData - Contest document data
+ * @returns {Object} Winners keyed by period
+ */
+const computeWinners = (contestData) => {
+  const scores = contestData.scores || {};
+  const periods = getPeriods(contestData);
+  const { rule } = getUnsoldSquaresSettings(contestData);
+  const winners = {};
+  let carriedOver = 0;
+
+  periods.forEach((period, i) => {
+    const score = scores[period.key];
+    if (!score) {
+      // Without this period's result we cannot know whether anything rolls past it
+      carriedOver = 0;
+      return;
+    }
+
+    const squareIndex = getWinningSquareIndex(contestData, score.home, score.away);
+    const name = contestData.names[squareIndex];
+    const prize = toCents(period.prize + carriedOver);
+    const winner = {
+      squareIndex,
+      name,
+      prize,
+      carriedOver,
+      home: score.home,
+      away: score.away,
+      unsold: isSquareOpen(name),
+      outcome: 'winner'
+    };
+    carriedOver = 0;
+
+    if (winner.unsold) {
+      winner.name = null;
+      winner.rule = rule;
+      const nextPeriod = periods[i + 1];
+
+      if (rule === 'rollover' && nextPeriod) {
+        winner.outcome = 'rollover';
+        winner.rolledOverTo = nextPeriod.key;
+        carriedOver = prize;
+      } else if (rule === 'split') {
+        winner.outcome = 'split';
+        Object.assign(winner, splitPrizeAcrossSoldSquares(contestData.names, prize));
+      } else {
+        winner.outcome = 'house';
+      }
+    }
+
+    winners[period.key] = winner;
+  });
+
+  return winners;
+};
+
+/**
+ * Get how much of a period's prize goes to players
+ * @param {Object} winner - Winner entry for the period
+ * @returns {number} Amount paid to players
+ */
+const getAmountAwarded = (winner) => {
+  if (winner.outcome === 'winner') {
+    return winner.prize;
+  }
+  if (winner.outcome === 'split') {
+    return toCents(winner.prize - winner.houseRemainder);
+  }
+  return 0;
+};
+
+/**
+ * Summarize contest results for API responses
+ * @param {Object} contestData - Contest document data
+ * @param {Object} winners - Winners keyed by period
+ * @returns {Object} Results summary
+ */
+const summarizeResults = (contestData, winners) => {
+  const periodKeys = getPeriods(contestData).map(period => period.key);
+  const periodsScored = periodKeys.filter(key => winners[key]);
+  const totalAwarded = periodsScored.reduce((total, key) => total + getAmountAwarded(winners[key]), 0);
+  const totalToHouse = periodsScored.reduce((total, key) => {
+    const winner = winners[key];
+    if (winner.outcome === 'house') {
+      return total + winner.prize;
+    }
+    return total + (winner.houseRemainder || 0);
+  }, 0);
+
+  return {
+    periodsScored,
+    periodsRemaining: periodKeys.filter(key => !winners[key]),
+    totalAwarded: toCents(totalAwarded),
+    totalToHouse: toCents(totalToHouse)
+  };
+};
+
+module.exports = {
+  DEFAULT_GRID_SIZE,
+  GRID_SIZES,
+  MAX_SQUARE_COUNT,
+  QUARTERS,
+  DIGITS,
+  shuffle,
+  generateDigitAxis,
+  getGridSize,
+  getSquareCount,
+  isSquareOpen,
+  toSquares,
+  countOpenSquares,
+  lastDigit,
+  getDigitAxes,
+  groupDigitAxis,
+  getWinningSquareIndex,
+  getPeriods,
+  getUnsoldSquaresSettings,
+  splitPrizeAcrossSoldSquares,
+  computeWinners,
+  summarizeResults
+};
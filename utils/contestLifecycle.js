@@ -0,0 +1,127 @@
+/**
+ * Contest Lifecycle
+ * Contest states, the transitions allowed between them and status history
+ */
+
+const ContestStatus = {
+  NEW: 'new',
+  LOCKED: 'locked',
+  ACTIVE: 'active',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Allowed transitions keyed by current status
+ */
+const ALLOWED_TRANSITIONS = {
+  [ContestStatus.NEW]: [ContestStatus.LOCKED, ContestStatus.ACTIVE, ContestStatus.CANCELLED],
+  [ContestStatus.LOCKED]: [ContestStatus.NEW, ContestStatus.ACTIVE, ContestStatus.CANCELLED],
+  [ContestStatus.ACTIVE]: [ContestStatus.IN_PROGRESS, ContestStatus.CANCELLED],
+  [ContestStatus.IN_PROGRESS]: [ContestStatus.COMPLETED, ContestStatus.CANCELLED],
+  [ContestStatus.COMPLETED]: [],
+  [ContestStatus.CANCELLED]: []
+};
+
+/**
+ * Check whether a contest may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransition = (from, to) => (ALLOWED_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Create the error returned when a contest is in the wrong state for an action
+ * @param {string} currentStatus - Current contest status
+ * @param {string} message - Error message
+ * @param {Object} details - Additional error details
+ * @returns {Error} Conflict error
+ */
+const createStatusConflictError = (currentStatus, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'ConflictError';
+  error.code = 'invalid-contest-status';
+  error.details = {
+    currentStatus,
+    ...details
+  };
+  return error;
+};
+
+/**
+ * Ensure a contest can move to the target status
+ * @param {Object} contestData - Contest document data
+ * @param {string} to - Target status
+ * @throws {Error} Conflict error when the transition is not allowed
+ */
+const assertTransition = (contestData, to) => {
+  if (!canTransition(contestData.status, to)) {
+    throw createStatusConflictError(
+      contestData.status,
+      `Contest cannot move from '${contestData.status}' to '${to}'`,
+      {
+        targetStatus: to,
+        allowedTransitions: ALLOWED_TRANSITIONS[contestData.status] || []
+      }
+    );
+  }
+};
+
+/**
+ * Ensure a contest is in one of the given states before performing an action
+ * @param {Object} contestData - Contest document data
+ * @param {string[]} allowedStatuses - States in which the action is allowed
+ * @param {string} action - Description of the action for the error message
+ * @throws {Error} Conflict error when the contest is in another state
+ */
+const assertStatus = (contestData, allowedStatuses, action) => {
+  if (!allowedStatuses.includes(contestData.status)) {
+    throw createStatusConflictError(
+      contestData.status,
+      `Contest cannot be ${action} in '${contestData.status}' state. Allowed states: ${allowedStatuses.join(', ')}`,
+      { allowedStatuses }
+    );
+  }
+};
+
+/**
+ * Create a status history entry
+ * @param {string|null} from - Previous status
+ * @param {string} to - New status
+ * @param {string} reason - Why the transition happened
+ * @returns {Object} History entry
+ */
+const createHistoryEntry = (from, to, reason) => ({
+  from,
+  to,
+  reason,
+  at: new Date()
+});
+
+/**
+ * Build the update data for a status transition, appending to the status history
+ * @param {Object} contestData - Contest document data
+ * @param {string} to - Target status
+ * @param {string} reason - Why the transition happened
+ * @returns {Object} Fields to write to the contest document
+ */
+const buildTransitionUpdate = (contestData, to, reason) => ({
+  status: to,
+  statusHistory: [
+    ...(contestData.statusHistory || []),
+    createHistoryEntry(contestData.status, to, reason)
+  ],
+  updatedAt: new Date()
+});
+
+module.exports = {
+  ContestStatus,
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  assertTransition,
+  assertStatus,
+  createHistoryEntry,
+  buildTransitionUpdate
+};
@@ -0,0 +1,167 @@
+/**
+ * Contest Roles
+ * Who may do what with a contest
+ *
+ * owner       - Created the contest; manages it and its co-admins
+ * co_admin    - Manages the contest on the owner's behalf
+ * participant - Has claimed squares or joined with an invite code; may only claim and release their own
+ *
+ * Private contests hide who is playing from users without a role
+ */
+
+const ContestRoles = {
+  OWNER: 'owner',
+  CO_ADMIN: 'co_admin',
+  PARTICIPANT: 'participant'
+};
+
+const MANAGER_ROLES = [ContestRoles.OWNER, ContestRoles.CO_ADMIN];
+
+const ContestVisibility = {
+  PUBLIC: 'public',
+  PRIVATE: 'private'
+};
+
+// Fields only managers see, whatever the contest's visibility
+const MANAGER_FIELDS = ['inviteCode', 'payments'];
+
+// Fields that identify players, hidden from uninvited users of private contests
+const PARTICIPANT_FIELDS = ['names', 'originalNames', 'squareOwners', 'participantIds', 'coAdminIds'];
+
+/**
+ * Get a user's role in a contest
+ * Contests created before ownership was recorded have no owner, so nobody manages them until
+ * scripts/assignContestOwners.js gives them one
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user from req.user
+ * @returns {string|null} Role, or null when the user has none
+ */
+const getContestRole = (contestData, user) => {
+  if (!user) {
+    return null;
+  }
+  if (contestData.ownerId && contestData.ownerId === user.uid) {
+    return ContestRoles.OWNER;
+  }
+  if ((contestData.coAdminIds || []).includes(user.uid)) {
+    return ContestRoles.CO_ADMIN;
+  }
+  if ((contestData.participantIds || []).includes(user.uid)) {
+    return ContestRoles.PARTICIPANT;
+  }
+  return null;
+};
+
+/**
+ * Check whether a user manages a contest
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user
+ * @returns {boolean} Whether the user is the owner or a co-admin
+ */
+const canManageContest = (contestData, user) => MANAGER_ROLES.includes(getContestRole(contestData, user));
+
+/**
+ * Ensure a user has one of the given roles in a contest
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user
+ * @param {string[]} allowedRoles - Roles allowed to perform the action
+ * @param {string} action - Description of the action for the error message
+ * @returns {string} The user's role
+ * @throws {Error} Forbidden error when the user's role is not allowed
+ */
+const assertContestRole = (contestData, user, allowedRoles, action) => {
+  const role = getContestRole(contestData, user);
+
+  if (!allowedRoles.includes(role)) {
+    const error = new Error(`Only ${allowedRoles.join(' or ')} can ${action} this contest`);
+    error.name = 'ForbiddenError';
+    error.code = 'insufficient-role';
+    error.details = {
+      role,
+      allowedRoles
+    };
+    throw error;
+  }
+
+  return role;
+};
+
+/**
+ * Ensure a user manages a contest
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user
+ * @param {string} action - Description of the action for the error message
+ * @returns {string} The user's role
+ */
+const assertCanManage = (contestData, user, action) => assertContestRole(contestData, user, MANAGER_ROLES, action);
+
+/**
+ * Check whether a user may see who is playing in a contest
+ * Contests created before visibility existed are public
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user
+ * @returns {boolean} Whether the contest is public or the user has a role in it
+ */
+const canViewParticipants = (contestData, user) => {
+  return contestData.visibility !== ContestVisibility.PRIVATE || getContestRole(contestData, user) !== null;
+};
+
+/**
+ * Ensure a user may see who is playing in a contest
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user
+ * @throws {Error} Forbidden error for uninvited users of private contests
+ */
+const assertCanViewParticipants = (contestData, user) => {
+  if (!canViewParticipants(contestData, user)) {
+    const error = new Error('This contest is private. Join it with an invite code first');
+    error.name = 'ForbiddenError';
+    error.code = 'contest-private';
+    throw error;
+  }
+};
+
+/**
+ * Get the contest data a user is allowed to see
+ * Only managers see the invite code and payments; uninvited users of private contests do not see players,
+ * winners' names or who is owed a refund
+ * @param {Object} contestData - Contest document data
+ * @param {Object|null} user - Authenticated user
+ * @returns {Object} Contest data safe to return to the user
+ */
+const toVisibleContest = (contestData, user) => {
+  if (canManageContest(contestData, user)) {
+    return contestData;
+  }
+
+  const visible = { ...contestData };
+  MANAGER_FIELDS.forEach(field => delete visible[field]);
+  if (canViewParticipants(contestData, user)) {
+    return visible;
+  }
+
+  PARTICIPANT_FIELDS.forEach(field => delete visible[field]);
+  // The refund report lists every participant by name; the reason and totals stay visible
+  if (visible.cancellation) {
+    const { refunds, ...cancellation } = visible.cancellation;
+    visible.cancellation = cancellation;
+  }
+  if (visible.winners) {
+    visible.winners = Object.fromEntries(Object.entries(visible.winners)
+      .map(([periodKey, { name, ...winner }]) => [periodKey, winner]));
+  }
+  return visible;
+};
+
+module.exports = {
+  ContestRoles,
+  MANAGER_ROLES,
+  ContestVisibility,
+  getContestRole,
+  canManageContest,
+  assertContestRole,
+  assertCanManage,
+  canViewParticipants,
+  assertCanViewParticipants,
+  toVisibleContest
+};
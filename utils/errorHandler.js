@@ -9,6 +9,8 @@ const ErrorTypes = {
   AUTHENTICATION: 'AUTHENTICATION_ERROR',
   AUTHORIZATION: 'AUTHORIZATION_ERROR',
   NOT_FOUND: 'NOT_FOUND_ERROR',
+  CONFLICT: 'CONFLICT_ERROR',
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED_ERROR',
   RATE_LIMIT: 'RATE_LIMIT_ERROR',
   DATABASE: 'DATABASE_ERROR',
   EXTERNAL_SERVICE: 'EXTERNAL_SERVICE_ERROR',
@@ -25,6 +27,8 @@ const StatusCodes = {
   [ErrorTypes.AUTHENTICATION]: 401,
   [ErrorTypes.AUTHORIZATION]: 403,
   [ErrorTypes.NOT_FOUND]: 404,
+  [ErrorTypes.CONFLICT]: 409,
+  [ErrorTypes.PRECONDITION_FAILED]: 412,
   [ErrorTypes.RATE_LIMIT]: 429,
   [ErrorTypes.DATABASE]: 503,
   [ErrorTypes.EXTERNAL_SERVICE]: 502,
@@ -153,6 +157,12 @@ const handleError = (error, req, errorType = ErrorTypes.INTERNAL, additionalCont
     case ErrorTypes.RATE_LIMIT:
       logger.warn('Rate limit error:', logData);
       break;
+    case ErrorTypes.CONFLICT:
+      logger.warn('Conflict error:', logData);
+      break;
+    case ErrorTypes.PRECONDITION_FAILED:
+      logger.warn('Precondition failed:', logData);
+      break;
     case ErrorTypes.NOT_FOUND:
       logger.info('Not found error:', logData);
       break;
@@ -173,30 +183,47 @@ const handleError = (error, req, errorType = ErrorTypes.INTERNAL, additionalCont
 };
 
 /**
- * Express error handling middleware
+ * Determine error type based on error properties
  * @param {Error} error - The error object
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * @param {string} defaultType - Type to use when no property matches
+ * @returns {string} Error type
  */
-const expressErrorHandler = (error, req, res, next) => {
-  // Determine error type based on error properties
-  let errorType = ErrorTypes.INTERNAL;
-  
+const getErrorType = (error, defaultType = ErrorTypes.INTERNAL) => {
   if (error.name === 'ValidationError') {
-    errorType = ErrorTypes.VALIDATION;
+    return ErrorTypes.VALIDATION;
   } else if (error.name === 'UnauthorizedError') {
-    errorType = ErrorTypes.AUTHENTICATION;
+    return ErrorTypes.AUTHENTICATION;
   } else if (error.name === 'ForbiddenError') {
-    errorType = ErrorTypes.AUTHORIZATION;
-  } else if (error.name === 'NotFoundError') {
-    errorType = ErrorTypes.NOT_FOUND;
+    return ErrorTypes.AUTHORIZATION;
+  } else if (error.name === 'NotFoundError' || error.code === 'not-found') {
+    return ErrorTypes.NOT_FOUND;
+  } else if (error.name === 'ConflictError') {
+    return ErrorTypes.CONFLICT;
+  } else if (error.name === 'PreconditionFailedError') {
+    return ErrorTypes.PRECONDITION_FAILED;
+  } else if (error.name === 'ServiceUnavailableError') {
+    // Thrown when the database or auth service is not configured
+    return ErrorTypes.DATABASE;
   } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-    errorType = ErrorTypes.NETWORK;
+    return ErrorTypes.NETWORK;
   } else if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-    errorType = ErrorTypes.EXTERNAL_SERVICE;
+    return ErrorTypes.EXTERNAL_SERVICE;
   }
   
+  return defaultType;
+};
+
+/**
+ * Express error handling middleware
+ * @param {Error} error - The error object
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const expressErrorHandler = (error, req, res, next) => {
+  // Determine error type based on error properties
+  const errorType = getErrorType(error);
+  
   // Handle the error
   const { statusCode, response } = handleError(error, req, errorType);
   
@@ -262,11 +289,29 @@ const handleValidationError = (error, req, validationDetails = {}) => {
   });
 };
 
+/**
+ * Get the details of an error that are safe to add to a response
+ * Errors thrown by the app carry a plain object, or an array of validation errors; Firestore and gRPC
+ * errors carry a string with backend internals, which is left out
+ * @param {*} details - error.details
+ * @returns {Object} Fields to add to the response details
+ */
+const getResponseDetails = (details) => {
+  if (Array.isArray(details)) {
+    return { validationErrors: details };
+  }
+  if (details && typeof details === 'object' && Object.getPrototypeOf(details) === Object.prototype) {
+    return details;
+  }
+  return {};
+};
+
 /**
  * Firebase-specific error handler
  */
 const handleFirebaseError = (error, req, operation = 'unknown') => {
-  const errorType = error.code === 'not-found' ? ErrorTypes.NOT_FOUND : ErrorTypes.DATABASE;
+  // Errors thrown by route handlers keep their own type; anything else is a database failure
+  const errorType = getErrorType(error, ErrorTypes.DATABASE);
   
   const logData = createErrorLogData(error, req, errorType, {
     firebaseOperation: operation,
@@ -278,7 +323,8 @@ const handleFirebaseError = (error, req, operation = 'unknown') => {
   
   return createErrorResponse(error, errorType, req, {
     operation,
-    firebaseCode: error.code
+    firebaseCode: error.code,
+    ...getResponseDetails(error.details)
   });
 };
 
@@ -286,6 +332,7 @@ module.exports = {
   ErrorTypes,
   StatusCodes,
   handleError,
+  getErrorType,
   expressErrorHandler,
   asyncErrorHandler,
   createSpecificErrorHandler,
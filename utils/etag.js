@@ -0,0 +1,43 @@
+/**
+ * Contest ETags
+ * Version tags derived from a document's update time, used for optimistic concurrency
+ *
+ * Clients send the ETag they last read in If-Match; a write is refused with 412 when the
+ * document has changed since, instead of silently overwriting the newer data.
+ */
+
+/**
+ * Build the ETag for a document
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {string} Strong ETag, quoted as it appears in headers
+ */
+const getETag = (doc) => `"${doc.updateTime.seconds}.${doc.updateTime.nanoseconds}"`;
+
+/**
+ * Ensure a document still has the version the client last read
+ * Writes without If-Match are not checked
+ * @param {string|undefined} ifMatch - If-Match header value
+ * @param {Object} doc - Firestore document snapshot, read in the same transaction as the write
+ * @throws {Error} Precondition failed error when none of the given ETags is current
+ */
+const assertIfMatch = (ifMatch, doc) => {
+  if (!ifMatch) {
+    return;
+  }
+
+  const etag = getETag(doc);
+  const expected = ifMatch.split(',').map(value => value.trim());
+
+  if (!expected.includes('*') && !expected.includes(etag)) {
+    const error = new Error('Contest has changed since it was read. Fetch it again and retry');
+    error.name = 'PreconditionFailedError';
+    error.code = 'etag-mismatch';
+    error.details = { currentETag: etag };
+    throw error;
+  }
+};
+
+module.exports = {
+  getETag,
+  assertIfMatch
+};
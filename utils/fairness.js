@@ -0,0 +1,119 @@
+/**
+ * Provably Fair Draws
+ * Commit-reveal scheme for the board shuffle and digit draw
+ *
+ * The server commits to sha256(seed) before the draw and reveals the seed afterwards.
+ * Every random integer is derived from sha256(`${seed}:${label}:${counter}`), read as
+ * big-endian 32-bit words, with rejection sampling so each value in [0, max) is equally likely.
+ */
+
+const crypto = require('crypto');
+const { shuffle, generateDigitAxis } = require('./board');
+
+const FAIRNESS_ALGORITHM = 'sha256-fisher-yates-v1';
+
+/**
+ * Generate a cryptographically random seed
+ * @returns {string} Hex encoded 256-bit seed
+ */
+const generateSeed = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hash a seed for the public commitment
+ * @param {string} seed - Hex encoded seed
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+/**
+ * Create a new seed and the commitment to publish for it
+ * @returns {Object} Secret seed and public commitment
+ */
+const createCommitment = () => {
+  const seed = generateSeed();
+  return {
+    seed,
+    commitment: {
+      algorithm: FAIRNESS_ALGORITHM,
+      seedHash: hashSeed(seed),
+      committedAt: new Date()
+    }
+  };
+};
+
+/**
+ * Create a deterministic random integer source from a seed
+ * @param {string} seed - Hex encoded seed
+ * @param {string} label - Stream label so each draw uses independent values
+ * @returns {Function} Function returning integers in [0, max)
+ */
+const createSeededRandom = (seed, label) => {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+
+  const nextUint32 = () => {
+    if (block.length < 4) {
+      block = crypto.createHash('sha256').update(`${seed}:${label}:${counter}`).digest();
+      counter++;
+    }
+    const value = block.readUInt32BE(0);
+    block = block.subarray(4);
+    return value;
+  };
+
+  return (max) => {
+    // Reject values from the incomplete final range to avoid modulo bias
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value = nextUint32();
+    while (value >= limit) {
+      value = nextUint32();
+    }
+    return value % max;
+  };
+};
+
+/**
+ * Draw the board deterministically from a seed
+ * @param {string} seed - Hex encoded seed
+ * @param {string[]} names - Names in their original (pre-shuffle) order
+ * @returns {Object} Shuffled names and digit axes
+ */
+const drawBoard = (seed, names) => ({
+  names: shuffle(names, createSeededRandom(seed, 'names')),
+  homeDigits: generateDigitAxis(createSeededRandom(seed, 'homeDigits')),
+  awayDigits: generateDigitAxis(createSeededRandom(seed, 'awayDigits'))
+});
+
+/**
+ * Recompute a started contest's board from its revealed seed
+ * @param {Object} contestData - Contest document data
+ * @returns {Object} Verification result with individual checks
+ */
+const verifyBoard = (contestData) => {
+  const { fairness, originalNames } = contestData;
+  const recomputed = drawBoard(fairness.seed, originalNames);
+  const sameOrder = (a = [], b = []) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+  const checks = {
+    seedMatchesCommitment: hashSeed(fairness.seed) === fairness.seedHash,
+    namesMatch: sameOrder(recomputed.names, contestData.names),
+    homeDigitsMatch: sameOrder(recomputed.homeDigits, contestData.homeDigits),
+    awayDigitsMatch: sameOrder(recomputed.awayDigits, contestData.awayDigits)
+  };
+
+  return {
+    verified: Object.values(checks).every(Boolean),
+    checks,
+    recomputed
+  };
+};
+
+module.exports = {
+  FAIRNESS_ALGORITHM,
+  generateSeed,
+  hashSeed,
+  createCommitment,
+  createSeededRandom,
+  drawBoard,
+  verifyBoard
+};
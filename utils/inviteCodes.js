@@ -0,0 +1,56 @@
+/**
+ * Invite Codes
+ * Short codes people can read out or type to join a contest, e.g. `K7QM-4XPD`
+ */
+
+const crypto = require('crypto');
+
+// Letters and digits that are easy to tell apart when read aloud or handwritten (no 0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_GROUP_SIZE = 4;
+
+const INVITE_CODE_PATTERN = new RegExp(`^[${INVITE_CODE_ALPHABET}]{${INVITE_CODE_LENGTH}}$`);
+
+/**
+ * Split a code into dash-separated groups
+ * @param {string} characters - Code characters without separators
+ * @returns {string} Formatted code
+ */
+const formatInviteCode = (characters) => {
+  const groups = [];
+  for (let i = 0; i < characters.length; i += INVITE_CODE_GROUP_SIZE) {
+    groups.push(characters.slice(i, i + INVITE_CODE_GROUP_SIZE));
+  }
+  return groups.join('-');
+};
+
+/**
+ * Generate a random invite code
+ * @returns {string} Formatted invite code
+ */
+const generateInviteCode = () => {
+  let characters = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    characters += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return formatInviteCode(characters);
+};
+
+/**
+ * Normalize a code as typed by a user
+ * Case, spaces and dashes are ignored
+ * @param {string} code - Code as entered
+ * @returns {string|null} Formatted invite code, or null when it cannot be a valid code
+ */
+const normalizeInviteCode = (code) => {
+  const characters = String(code).toUpperCase().replace(/[\s-]/g, '');
+  return INVITE_CODE_PATTERN.test(characters) ? formatInviteCode(characters) : null;
+};
+
+module.exports = {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_LENGTH,
+  generateInviteCode,
+  normalizeInviteCode
+};
@@ -0,0 +1,119 @@
+/**
+ * Ledger Utilities
+ * Derive what each participant owes from their squares and track payments received
+ */
+
+const { isSquareOpen } = require('./board');
+const { roundCents } = require('./payouts');
+
+const PAYMENT_METHODS = ['cash', 'check', 'venmo', 'paypal', 'zelle', 'cashapp', 'card', 'other'];
+
+/**
+ * Group squares by participant name
+ * @param {Array} names - Names stored on the contest
+ * @returns {Object[]} Participants with the indexes of the squares they hold
+ */
+const getParticipants = (names = []) => {
+  const participants = new Map();
+
+  names.forEach((name, squareIndex) => {
+    if (isSquareOpen(name)) {
+      return;
+    }
+    if (!participants.has(name)) {
+      participants.set(name, { name, squares: [] });
+    }
+    participants.get(name).squares.push(squareIndex);
+  });
+
+  return [...participants.values()].map(participant => ({
+    ...participant,
+    squareCount: participant.squares.length
+  }));
+};
+
+/**
+ * Determine a participant's payment status
+ * @param {number} amountOwed - Amount owed for their squares
+ * @param {number} amountPaid - Amount received so far
+ * @returns {string} paid, partial or unpaid
+ */
+const getPaymentStatus = (amountOwed, amountPaid) => {
+  if (amountPaid >= amountOwed) {
+    return 'paid';
+  }
+  return amountPaid > 0 ? 'partial' : 'unpaid';
+};
+
+/**
+ * Build the payment ledger for a contest
+ * @param {Object} contestData - Contest document data
+ * @returns {Object} Per-participant balances, totals and recorded payments
+ */
+const buildLedger = (contestData) => {
+  const payments = contestData.payments || [];
+
+  const participants = getParticipants(contestData.names).map(participant => {
+    const amountOwed = roundCents(participant.squareCount * contestData.costPerSquare);
+    const amountPaid = roundCents(payments
+      .filter(payment => payment.participant === participant.name)
+      .reduce((total, payment) => total + payment.amount, 0));
+
+    return {
+      ...participant,
+      amountOwed,
+      amountPaid,
+      balance: roundCents(amountOwed - amountPaid),
+      status: getPaymentStatus(amountOwed, amountPaid)
+    };
+  });
+
+  const totalOwed = roundCents(participants.reduce((total, participant) => total + participant.amountOwed, 0));
+  const totalPaid = roundCents(participants.reduce((total, participant) => total + participant.amountPaid, 0));
+
+  return {
+    costPerSquare: contestData.costPerSquare,
+    requirePaymentBeforeStart: Boolean(contestData.requirePaymentBeforeStart),
+    participants,
+    totals: {
+      owed: totalOwed,
+      paid: totalPaid,
+      outstanding: roundCents(Math.max(totalOwed - totalPaid, 0))
+    },
+    unpaidParticipants: participants
+      .filter(participant => participant.status !== 'paid')
+      .map(participant => participant.name),
+    payments
+  };
+};
+
+/**
+ * Build the refund report for a cancelled contest
+ * Refunds are based on the square price; amounts already received are listed for reconciliation
+ * @param {Object} contestData - Contest document data
+ * @returns {Object} Refund per participant and the total to refund
+ */
+const buildRefundReport = (contestData) => {
+  const { participants } = buildLedger(contestData);
+
+  const refunds = participants.map(participant => ({
+    name: participant.name,
+    squareCount: participant.squareCount,
+    refundAmount: participant.amountOwed,
+    amountPaid: participant.amountPaid
+  }));
+
+  return {
+    costPerSquare: contestData.costPerSquare,
+    refunds,
+    totalRefund: roundCents(refunds.reduce((total, refund) => total + refund.refundAmount, 0))
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  getParticipants,
+  getPaymentStatus,
+  buildLedger,
+  buildRefundReport
+};
@@ -0,0 +1,209 @@
+/**
+ * Payout Utilities
+ * Server-side prize calculation for standard payout mode
+ */
+
+const config = require('../config/config');
+const { QUARTERS } = require('./board');
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Create the error returned when supplied amounts disagree with the standard payout
+ * @param {Object[]} mismatches - Fields whose supplied amount differs
+ * @param {Object} expected - Prizes computed by the server
+ * @returns {Error} Validation error
+ */
+const createMismatchError = (mismatches, expected) => {
+  const error = new Error('Prize amounts do not match the standard payout for this contest');
+  error.name = 'ValidationError';
+  error.details = {
+    mismatches,
+    expected
+  };
+  return error;
+};
+
+/**
+ * Get the percentage split for a standard payout
+ * A preset only applies when it has one entry per period; without a preset the default
+ * preset is used when it fits, otherwise the pot is split evenly
+ * @param {number} periodCount - Number of periods that pay out
+ * @param {string} presetName - Requested payout preset, if any
+ * @returns {Object} Preset name (null for an even split) and percentages
+ * @throws {Error} Validation error when the requested preset does not fit the periods
+ */
+const getStandardSplit = (periodCount, presetName) => {
+  if (presetName) {
+    const split = config.PAYOUT_PRESETS[presetName];
+    if (split.length !== periodCount) {
+      const error = new Error(`Payout preset '${presetName}' has ${split.length} entries but the contest has ${periodCount} periods`);
+      error.name = 'ValidationError';
+      error.details = { preset: presetName, periodCount };
+      throw error;
+    }
+    return { preset: presetName, split };
+  }
+
+  const defaultSplit = config.PAYOUT_PRESETS[config.DEFAULT_PAYOUT_PRESET];
+  if (defaultSplit.length === periodCount) {
+    return { preset: config.DEFAULT_PAYOUT_PRESET, split: defaultSplit };
+  }
+
+  return { preset: null, split: Array(periodCount).fill(100 / periodCount) };
+};
+
+/**
+ * Split a pot by percentage
+ * The final share absorbs any rounding remainder so the shares always add up to the pot
+ * @param {number} totalPot - Pot to split
+ * @param {number[]} split - Percentage for each share
+ * @returns {number[]} Amount for each share
+ */
+const splitPot = (totalPot, split) => {
+  let allocated = 0;
+
+  return split.map((percent, i) => {
+    const isLast = i === split.length - 1;
+    const amount = isLast ? roundCents(totalPot - allocated) : roundCents(totalPot * percent / 100);
+    allocated = roundCents(allocated + amount);
+    return amount;
+  });
+};
+
+/**
+ * Compute quarter prizes for a standard payout contest
+ * @param {number} costPerSquare - Cost of a single square
+ * @param {number} squareCount - Number of squares on the board
+ * @param {string} presetName - Name of the payout preset to use
+ * @returns {Object} Quarter prizes including totalPot, payoutMode and preset
+ */
+const computeStandardPrizes = (costPerSquare, squareCount, presetName) => {
+  const totalPot = roundCents(costPerSquare * squareCount);
+  const { preset, split } = getStandardSplit(QUARTERS.length, presetName);
+  const amounts = splitPot(totalPot, split);
+  const prizes = {};
+
+  QUARTERS.forEach((quarter, i) => {
+    prizes[quarter] = amounts[i];
+  });
+
+  return {
+    ...prizes,
+    totalPot,
+    payoutMode: 'standard',
+    ...(preset && { preset })
+  };
+};
+
+/**
+ * Compare client-supplied prize amounts against the computed ones
+ * Amounts the client left out are not treated as mismatches
+ * @param {Object} supplied - Quarter prizes sent by the client
+ * @param {Object} computed - Quarter prizes computed by the server
+ * @returns {Object[]} Fields whose supplied amount differs
+ */
+const findPrizeMismatches = (supplied, computed) => {
+  return [...QUARTERS, 'totalPot']
+    .filter(field => supplied[field] !== undefined && roundCents(supplied[field]) !== computed[field])
+    .map(field => ({
+      field,
+      supplied: supplied[field],
+      expected: computed[field]
+    }));
+};
+
+/**
+ * Resolve the quarter prizes to store for a new contest
+ * Standard payouts are computed from the square price; custom payouts are kept as sent
+ * @param {number} costPerSquare - Cost of a single square
+ * @param {number} squareCount - Number of squares on the board
+ * @param {Object} quarterPrizes - Quarter prizes sent by the client
+ * @returns {Object} Quarter prizes to store
+ * @throws {Error} Validation error when supplied standard amounts disagree with the computed ones
+ */
+const resolveQuarterPrizes = (costPerSquare, squareCount, quarterPrizes) => {
+  if (quarterPrizes.payoutMode !== 'standard') {
+    return quarterPrizes;
+  }
+
+  const computed = computeStandardPrizes(costPerSquare, squareCount, quarterPrizes.preset);
+  const mismatches = findPrizeMismatches(quarterPrizes, computed);
+
+  if (mismatches.length > 0) {
+    throw createMismatchError(mismatches, computed);
+  }
+
+  return computed;
+};
+
+/**
+ * Resolve the periods and prize pool to store for a new contest
+ * Periods without a key are numbered period1, period2, ... in the order given
+ * @param {number} costPerSquare - Cost of a single square
+ * @param {number} squareCount - Number of squares on the board
+ * @param {Object[]} periods - Periods sent by the client
+ * @param {Object} prizePool - Prize pool settings sent by the client
+ * @returns {Object} Periods and prize pool to store
+ * @throws {Error} Validation error for duplicate keys or amounts that disagree with a standard payout
+ */
+const resolvePeriodPrizes = (costPerSquare, squareCount, periods, prizePool) => {
+  const keyedPeriods = periods.map((period, i) => ({
+    key: period.key || `period${i + 1}`,
+    name: period.name,
+    prize: period.prize
+  }));
+
+  const keys = keyedPeriods.map(period => period.key);
+  const duplicateKeys = [...new Set(keys.filter((key, i) => keys.indexOf(key) !== i))];
+  if (duplicateKeys.length > 0) {
+    const error = new Error(`Period keys must be unique (duplicated: ${duplicateKeys.join(', ')})`);
+    error.name = 'ValidationError';
+    error.details = { duplicateKeys };
+    throw error;
+  }
+
+  if (prizePool.payoutMode !== 'standard') {
+    return { periods: keyedPeriods, prizePool };
+  }
+
+  const totalPot = roundCents(costPerSquare * squareCount);
+  const { preset, split } = getStandardSplit(keyedPeriods.length, prizePool.preset);
+  const amounts = splitPot(totalPot, split);
+  const computed = {
+    periods: keyedPeriods.map((period, i) => ({ ...period, prize: amounts[i] })),
+    prizePool: {
+      totalPot,
+      payoutMode: 'standard',
+      ...(preset && { preset })
+    }
+  };
+
+  const mismatches = keyedPeriods
+    .map((period, i) => ({ field: period.key, supplied: period.prize, expected: amounts[i] }))
+    .filter(entry => entry.supplied !== undefined && roundCents(entry.supplied) !== entry.expected);
+  if (prizePool.totalPot !== undefined && roundCents(prizePool.totalPot) !== totalPot) {
+    mismatches.push({ field: 'totalPot', supplied: prizePool.totalPot, expected: totalPot });
+  }
+
+  if (mismatches.length > 0) {
+    throw createMismatchError(mismatches, computed);
+  }
+
+  return computed;
+};
+
+module.exports = {
+  roundCents,
+  getStandardSplit,
+  splitPot,
+  computeStandardPrizes,
+  findPrizeMismatches,
+  resolveQuarterPrizes,
+  resolvePeriodPrizes
+};
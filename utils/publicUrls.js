@@ -0,0 +1,79 @@
+/**
+ * Public URLs
+ * Checks that a URL the server will call on a user's behalf only reaches the public internet
+ *
+ * Hostnames are resolved first, so a public name pointing at an internal address is refused too.
+ * Without this, webhook URLs could be used to probe the internal network and cloud metadata services.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is on the public internet
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is public
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Ensure every address a URL's host resolves to is public
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {Error} Validation error when the host does not resolve or resolves to a non-public address
+ */
+const assertPublicUrl = async (url) => {
+  // IPv6 literals keep their brackets in URL.hostname
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    addresses = [];
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    const error = new Error('url must resolve to a public internet address');
+    error.name = 'ValidationError';
+    error.code = 'url-not-public';
+    error.details = { hostname };
+    throw error;
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl
+};